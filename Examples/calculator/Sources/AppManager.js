@@ -8,16 +8,6 @@ class AppManager extends ApplicationManager {
             localStorage.setItem("useDegrees", true)
         }
 
-        window.addEventListener("resize", () => {
-            let extended = (window.innerWidth >= 1100)
-
-            if (extended !== this.view.state.get("extended")) {
-                this.view.state.set({ extended: extended })
-            }
-        })
-
-        window.dispatchEvent(new Event("resize"))
-
         // function `ApplicationManager.normalizeDocumentStyles` removes margins 
         // and paddings from the `html` and `body`.
         // if you have set `flexBody` to `true` then
@@ -1,4 +1,4 @@
-import { percents, viewportHeight, viewportWidth, fontSize, Colors, Fonts, Color, OutlineStyle, Alignment, View, Text, VStack, HStack, Button } from "@teplovs/bon-ui"
+import { percents, viewportHeight, viewportWidth, fontSize, Colors, Fonts, Color, OutlineStyle, Alignment, Breakpoints, View, Text, VStack, HStack, Button } from "@teplovs/bon-ui"
 import { CalculatorTop, CalculatorBottom, CalculatorButton, CalculatorRow, Calculator, selectionColor } from "./Calculator"
 import { CalculatorExtensionPanel } from "./CalculatorExtensionPanel"
 
@@ -19,23 +19,25 @@ export class AppView extends View {
         return { 
             input: "", 
             editable: true, 
-            degrees: localStorage.getItem("useDegrees") === "true", 
-            extended: false 
+            degrees: localStorage.getItem("useDegrees") === "true"
         }
     }
 
     getBody() {
+        // the view is invalidated when the window becomes wider or narrower than the breakpoint
+        const extended = this.matches(Breakpoints.wide)
+
         return (
             new HStack([
                 new Calculator({ 
                     input: this.state.get("input"),
                     degrees: this.state.get("degrees"), 
                     handleButtonClick: this.handleButtonClick.bind(this), 
-                    extended: this.state.get("extended")
+                    extended: extended
                 })
                 .applyCSS({ flexGrow: "1" }),
 
-                this.state.get("extended") 
+                extended
                     ?
                         new CalculatorExtensionPanel({
                             input: this.state.get("input"),
@@ -11,6 +11,10 @@
 import { View } from "./Views/View"
 import { VNodeType, VNode } from "./VirtualDOM/VNode"
 import { Weight, FontStyle, weightToCssValue, fontStyleToCssValue } from "./Values/Font"
+import { Theme, ThemeColors } from "./Styles/Theme"
+
+// The last created application manager handles the errors caught by the error boundaries
+var currentManager = null
 
 /**
  * Class that contains methods to manage the app
@@ -20,6 +24,18 @@ export class ApplicationManager {
         this.title = ""
         this.view = null
         this.fonts = []
+        currentManager = this
+    }
+
+    /**
+     * A method called when the error boundary (or the form) catches the error. Override it to send the errors to your service
+     * @param {*}       error           The error
+     * @param {Object}  info
+     * @param {String[]} info.path      Names of the views from the error boundary to the view where the error is thrown
+     * @param {View}    info.boundary   Error boundary that caught the error
+     */
+    handleError(error, { path }) {
+        console.error(`Error in ${path.join(" > ")}: `, error)
     }
 
     /**
@@ -76,7 +92,7 @@ export class ApplicationManager {
     }
 
     /**
-     * A method to load the application view
+     * A method to load the application view. The theme is mounted to the page head before the view
      */
     loadView() {
         if (!document.body) {
@@ -86,6 +102,7 @@ export class ApplicationManager {
             return
         }
 
+        Theme.mountTo(document.head)
         this.view.mountTo(document.body)
     }
 
@@ -105,6 +122,19 @@ export class ApplicationManager {
         )
     }
 
+    /**
+     * A function to report the error to the application manager (to the console if there is no manager)
+     * @param {*}       error
+     * @param {Object}  info    Information about the error (see `handleError`)
+     */
+    static reportError(error, info) {
+        if (currentManager !== null) {
+            currentManager.handleError(error, info)
+        } else {
+            console.error(`Error in ${info.path.join(" > ")}: `, error)
+        }
+    }
+
     /**
      * A function that makes the page look better
      * @param {Object}  options
@@ -127,6 +157,8 @@ function __normalizeDocumentStyles({ applyFlexToBody }) {
     
     document.body.style.minHeight = "100vh"
     document.body.style.font = "normal 14pt sans-serif"
+    document.body.style.backgroundColor = ThemeColors.background.toString()
+    document.body.style.color = ThemeColors.label.toString()
 
     if (applyFlexToBody) {
         document.body.style.display = "flex"
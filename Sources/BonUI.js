@@ -11,7 +11,11 @@
 // Views
     // Core
     export * from "./Views/View"
+    export * from "./Views/PureView"
     export * from "./State/State"
+    export * from "./State/Middleware"
+    export * from "./State/DataCache"
+    export * from "./State/Binding"
 
     // Generic
     export * from "./Views/Generic/Text"
@@ -19,14 +23,27 @@
     export * from "./Views/Generic/Image"
     export * from "./Views/Generic/Control"
     export * from "./Views/Generic/Canvas"
+    export * from "./Views/Generic/ErrorBoundary"
+    export * from "./Views/Generic/AsyncView"
 
     // Navigation
     export * from "./Views/Navigation/Route"
     export * from "./Views/Navigation/Router"
+    export * from "./Views/Navigation/Redirect"
+    export * from "./Views/Navigation/History"
 
     // Forms
     export * from "./Views/Form/Button"
     export * from "./Views/Form/TextBox"
+    export * from "./Views/Form/Checkbox"
+    export * from "./Views/Form/Toggle"
+    export * from "./Views/Form/RadioGroup"
+    export * from "./Views/Form/Slider"
+    export * from "./Views/Form/Picker"
+    export * from "./Views/Form/Form"
+    export * from "./Views/Form/FormField"
+    export * from "./Views/Form/SubmitButton"
+    export * from "./Views/Form/Validators"
 
     // Layouts
     export * from "./Views/Layouts/HStack"
@@ -37,6 +54,10 @@
 // VirtualDOM
 export * from "./VirtualDOM/VNode"
 
+// Styles
+export * from "./Styles/StyleSheet"
+export * from "./Styles/Theme"
+
 // Workers
 export * from "./Worker"
 
@@ -50,6 +71,8 @@ export * from "./Values/Alignment"
 export * from "./Values/Positioning"
 export * from "./Values/OutlineStyle"
 export * from "./Values/WhiteSpaceStyle"
+export * from "./Values/InteractionState"
+export * from "./Values/Breakpoint"
 
 // Helpers
 export * from "./ApplicationManager"
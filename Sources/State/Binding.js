@@ -0,0 +1,49 @@
+//
+// Binding.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+/**
+ * A class to pass the value that can be changed by the view (a control, for example) together with the way to change it
+ * @class
+ * @example
+ * new TextBox({ value: this.bind("name") })
+ * new TextBox({ value: new Binding({ get: () => store.current.query, set: query => store.dispatch({ type: "search", query }) }) })
+ */
+export class Binding {
+    /**
+     * @param {Object}      options
+     * @param {Function}    options.get     Function that returns the value
+     * @param {Function}    options.set     Function that receives the new value and saves it
+     */
+    constructor ({ get, set }) {
+        this._get = get
+        this._set = set
+    }
+
+    /**
+     * The bound value
+     * @type {*}
+     */
+    get value () {
+        return this._get()
+    }
+
+    set value (value) {
+        this._set(value)
+    }
+
+    /**
+     * A function to get the value of the binding or the value itself if it is not a binding
+     * @param   {Binding|*} value
+     * @returns {*}
+     */
+    static valueOf (value) {
+        return value instanceof Binding ? value.value : value
+    }
+}
@@ -0,0 +1,183 @@
+//
+// DataCache.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Enum } from "../Values/Enum"
+import { State } from "./State"
+
+/**
+ * @enum
+ * @property {Symbol} pending   The data is being loaded
+ * @property {Symbol} fulfilled The data is loaded
+ * @property {Symbol} rejected  The loader failed
+ */
+export const LoadingStatus = new Enum("pending", "fulfilled", "rejected")
+
+function entryReducer(state = { status: LoadingStatus.pending, value: undefined, error: null }, action) {
+    switch (action.type) {
+        case "fulfill":
+            return { status: LoadingStatus.fulfilled, value: action.value, error: null }
+        case "reject":
+            return { status: LoadingStatus.rejected, value: undefined, error: action.error }
+        default:
+            return state
+    }
+}
+
+/**
+ * A class to keep the results of the data loaders by their keys, so the data is loaded once and can be passed from the server to the client.
+ * The failed loads are removed from the cache, so the data is loaded again by the next `load`
+ * @class
+ * @example
+ * // On the server (the cache is created for each request)
+ * const cache = new DataCache()
+ * const page = new App().setEnvironment({ dataCache: cache })
+ * const html = await page.toStringAsync()
+ * response.end(html + cache.toHTMLString())
+ *
+ * // On the client
+ * const cache = new DataCache()
+ * cache.restore()
+ * new App().setEnvironment({ dataCache: cache }).hydrate(document.body)
+ */
+export class DataCache {
+    constructor () {
+        this.entries = new Map()
+    }
+
+    /**
+     * A method to get the entry of the data and start loading it if there is no such entry
+     * @param   {String}    key     Key of the data
+     * @param   {Function}  loader  Function that returns the promise of the data
+     * @returns {State} Entry of the data (see `DataCache.createEntry`)
+     */
+    load (key, loader) {
+        if (!this.entries.has(key)) {
+            let entry = DataCache.createEntry(loader)
+            this.entries.set(key, entry)
+
+            entry.promise.then(() => {
+                if (entry.current.status === LoadingStatus.rejected && this.entries.get(key) === entry) {
+                    this.entries.delete(key)
+                }
+            })
+        }
+
+        return this.entries.get(key)
+    }
+
+    /**
+     * A method to check if there is an entry of the data
+     * @param   {String}    key
+     * @returns {Boolean}
+     */
+    has (key) {
+        return this.entries.has(key)
+    }
+
+    /**
+     * A method to remove the entry of the data, so it is loaded again by the next `load`
+     * @param {String} key
+     */
+    delete (key) {
+        this.entries.delete(key)
+    }
+
+    /**
+     * A method to remove all the entries
+     */
+    clear () {
+        this.entries.clear()
+    }
+
+    /**
+     * A method to get the loaded data (the pending and the failed entries are skipped)
+     * @returns {Object} Data by the keys
+     */
+    toJSON () {
+        var result = {}
+
+        this.entries.forEach((entry, key) => {
+            if (entry.current.status === LoadingStatus.fulfilled) {
+                result[key] = entry.current.value
+            }
+        })
+
+        return result
+    }
+
+    /**
+     * A method to get the loaded data as the `<script>` element HTML string. Add it to the page when rendering on the server
+     * @returns {String}
+     */
+    toHTMLString () {
+        return `<script type="application/json" data-bon-ui-data>${JSON.stringify(this).replace(/</g, "\\u003c")}</script>`
+    }
+
+    /**
+     * A method to add the data rendered with `toHTMLString` to the cache. Call it before the view is hydrated
+     * @param {Node} [parent] DOM node that contains the `<script>` element
+     */
+    restore (parent = document) {
+        var script = parent.querySelector("script[data-bon-ui-data]")
+
+        if (script === null) {
+            return
+        }
+
+        var data = JSON.parse(script.textContent)
+
+        for (let key in data) {
+            this.entries.set(key, DataCache.createEntry(null, data[key]))
+        }
+    }
+
+    /**
+     * A function to create the entry of the data. It is the state (`{ status, value, error }`) that is changed when the loader is settled,
+     * so the views that select it are invalidated. The `promise` property of the entry is resolved when the loader is settled.
+     * If the loader returns the value instead of the promise (or throws), the entry is settled right away
+     * @param   {Function|null} loader  Function that returns the promise of the data (or the data)
+     * @param   {*}             [value] Loaded data (if the loader is null)
+     * @returns {State}
+     */
+    static createEntry (loader, value) {
+        if (typeof loader !== "function") {
+            let entry = new State(entryReducer, { initialState: { status: LoadingStatus.fulfilled, value, error: null } })
+            entry.promise = Promise.resolve()
+            return entry
+        }
+
+        var entry = new State(entryReducer)
+        var result
+
+        try {
+            result = loader()
+        } catch (error) {
+            entry._currentState = { status: LoadingStatus.rejected, value: undefined, error }
+            entry.promise = Promise.resolve()
+            return entry
+        }
+
+        // The value that is not a promise is loaded right away
+        if (result === null || typeof result !== "object" || typeof result.then !== "function") {
+            entry._currentState = { status: LoadingStatus.fulfilled, value: result, error: null }
+            entry.promise = Promise.resolve()
+            return entry
+        }
+
+        entry.promise = Promise.resolve(result)
+            .then(value => {
+                entry.dispatch({ type: "fulfill", value })
+            }, error => {
+                entry.dispatch({ type: "reject", error })
+            })
+
+        return entry
+    }
+}
@@ -0,0 +1,147 @@
+//
+// Middleware.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { StateActionType } from "./State"
+
+/**
+ * A middleware that calls the functions passed as actions with `dispatch` and the state
+ * @example
+ * store.dispatch((dispatch, state) => {
+ *     fetch("/api/items").then(response => response.json()).then(items => dispatch({ type: "load", items }))
+ * })
+ * @param {State} state
+ */
+export const thunkMiddleware = state => next => action => {
+    if (typeof action === "function") {
+        return action(action => state.dispatch(action), state)
+    }
+
+    return next(action)
+}
+
+/**
+ * A middleware that dispatches the result of the promises passed as actions. Returns the promise
+ * @param {State} state
+ */
+export const promiseMiddleware = state => next => action => {
+    if (action instanceof Promise) {
+        return action.then(action => state.dispatch(action))
+    }
+
+    return next(action)
+}
+
+/**
+ * A function to create the middleware that logs the actions and the states after them
+ * @param   {Object}    [options]
+ * @param   {Function}  [options.log]   Function to log with
+ * @returns {Function}
+ */
+export function createLoggerMiddleware({ log = console.log } = {}) {
+    return state => next => action => {
+        var result = next(action)
+        log("Action: ", action, "State: ", state.current)
+        return result
+    }
+}
+
+/**
+ * A function to create the middleware that saves the state to the storage after each action
+ * @example
+ * const options = { key: "calculator" }
+ * const store = new State(reducer, {
+ *     initialState: readPersistedState(options),
+ *     middleware: [ createPersistenceMiddleware(options) ]
+ * })
+ * @param   {Object}    options
+ * @param   {String}    options.key         Key of the state in the storage
+ * @param   {Storage}   [options.storage]   Storage to save the state to (`localStorage` by default)
+ * @returns {Function}
+ */
+export function createPersistenceMiddleware({ key, storage = window.localStorage }) {
+    return state => next => action => {
+        var result = next(action)
+        storage.setItem(key, JSON.stringify(state.current))
+        return result
+    }
+}
+
+/**
+ * A function to read the state saved by the persistence middleware
+ * @param   {Object}    options
+ * @param   {String}    options.key         Key of the state in the storage
+ * @param   {Storage}   [options.storage]   Storage to read the state from (`localStorage` by default)
+ * @returns {*} The saved state (undefined if there is no saved state)
+ */
+export function readPersistedState({ key, storage = window.localStorage }) {
+    var value = storage.getItem(key)
+
+    if (value === null) {
+        return undefined
+    }
+
+    try {
+        return JSON.parse(value)
+    } catch (error) {
+        return undefined
+    }
+}
+
+/**
+ * A function to create the middleware that shows the actions and the states in the Redux DevTools extension. The states picked in the devtools are restored with the `StateActionType.restore` action
+ * @example
+ * const store = new State(reducer, {
+ *     middleware: [ thunkMiddleware, createDevToolsMiddleware({ name: "Calculator" }) ]
+ * })
+ * @param   {Object}    [options]
+ * @param   {String}    [options.name]      Name of the state in the devtools
+ * @param   {Object}    [options.extension] The devtools extension (`window.__REDUX_DEVTOOLS_EXTENSION__` by default). If there is no extension, the middleware does nothing
+ * @returns {Function}
+ */
+export function createDevToolsMiddleware({ name = "Bon UI", extension = typeof window !== "undefined" ? window.__REDUX_DEVTOOLS_EXTENSION__ : undefined } = {}) {
+    return state => {
+        if (!extension) {
+            return next => next
+        }
+
+        const connection = extension.connect({ name })
+        var isRestoring = false
+
+        connection.init(state.current)
+        connection.subscribe(message => {
+            if (message.type !== "DISPATCH" || typeof message.state !== "string") {
+                return
+            }
+
+            switch (message.payload.type) {
+                case "JUMP_TO_STATE":
+                case "JUMP_TO_ACTION":
+                    // The states picked in the devtools are not sent back to them
+                    isRestoring = true
+
+                    try {
+                        state.dispatch({ type: StateActionType.restore, state: JSON.parse(message.state) })
+                    } finally {
+                        isRestoring = false
+                    }
+            }
+        })
+
+        return next => action => {
+            var result = next(action)
+
+            if (!isRestoring) {
+                connection.send(action, state.current)
+            }
+
+            return result
+        }
+    }
+}
@@ -8,32 +8,111 @@
 // See https://www.apache.org/licenses/LICENSE-2.0 for license information
 // 
 
+/**
+ * Types of the actions that the state dispatches itself to change the current state without the reducer. They go through the middleware like other actions, but they are not recorded in the history
+ * @property {String} jump      `{ type, index }` The state goes to the recorded state with the index (undo, redo and time travel)
+ * @property {String} restore   `{ type, state }` The current state is replaced with the passed one (the devtools use it)
+ */
+export const StateActionType = Object.freeze({
+    jump: "@@bon-ui/jump",
+    restore: "@@bon-ui/restore"
+})
+
 /**
  * A state that contains variables. When you change them through the method "set", the component will be invalidated
  * @class
+ * @example
+ * const store = new State(reducer, {
+ *     middleware: [ thunkMiddleware, createLoggerMiddleware() ],
+ *     history: { limit: 50 }
+ * })
+ *
+ * store.dispatch({ type: "add", value: 2 })
+ * store.undo()
  */
 export class State {
     /**
-     * @param {function} reducer Function that is an action handler
+     * @param {function}            reducer                     Function that is an action handler
+     * @param {Object}              [options]
+     * @param {Function[]}          [options.middleware]        Functions that wrap the dispatching (`state => next => action => ...`). They are called in order of the array
+     * @param {Boolean|Object}      [options.history]           If specified, the states after the actions are recorded for undo, redo and time travel. Use `{ limit }` to limit the number of the recorded states
+     * @param {*}                   [options.initialState]      Value of the state to start with (the reducer returns it by default)
      */
-    constructor (reducer) {
+    constructor (reducer, { middleware = [], history = false, initialState } = {}) {
         this._listeners = []
-        this._currentState = reducer(undefined, {})
+        this._currentState = initialState !== undefined ? initialState : reducer(undefined, {})
         this._reducer = reducer
+        this._history = null
+
+        if (history) {
+            this._history = {
+                entries: [ { action: null, state: this._currentState } ],
+                index: 0,
+                limit: typeof history === "object" && typeof history.limit === "number" ? Math.max(1, history.limit) : Infinity
+            }
+        }
 
         Object.defineProperty(this, "current", {
             get: () => this._currentState,
             set: () => {}
         })
+
+        var dispatch = action => this._reduce(action)
+
+        middleware.slice().reverse().forEach(item => {
+            dispatch = item(this)(dispatch)
+        })
+
+        this._dispatch = dispatch
     }
 
     /**
-     * Method to call an action
-     * @param {object} action Information about an action
+     * Method to call an action. If there are middleware functions, the action goes through them first
+     * @param   {object} action Information about an action
+     * @returns {*} Result of the middleware (the action if there is no middleware)
      */
     dispatch (action) {
+        return this._dispatch(action)
+    }
+
+    /**
+     * Method to run the reducer and notify the listeners. It is the last step of the dispatching
+     * @param   {object} action
+     * @returns {object}
+     */
+    _reduce (action) {
+        if (action !== null && typeof action === "object") {
+            switch (action.type) {
+                case StateActionType.jump:
+                    this._history.index = action.index
+                    this._currentState = this._history.entries[action.index].state
+                    this._notify()
+                    return action
+                case StateActionType.restore:
+                    this._currentState = action.state
+                    this._notify()
+                    return action
+            }
+        }
+
         this._currentState = this._reducer(this._currentState, action)
 
+        if (this._history !== null) {
+            let history = this._history
+            history.entries.splice(history.index + 1, history.entries.length, { action, state: this._currentState })
+
+            if (history.entries.length > history.limit) {
+                history.entries.splice(0, history.entries.length - history.limit)
+            }
+
+            history.index = history.entries.length - 1
+        }
+
+        this._notify()
+        return action
+    }
+
+    _notify () {
         this._listeners.forEach(listener => {
             listener()
         })
@@ -53,5 +132,93 @@ export class State {
 
         return unsubscribe
     }
-}
 
+    /**
+     * The recorded actions (the first one is null as it is the initial state). Empty if the history is not enabled
+     * @type {Object[]}
+     */
+    get history () {
+        return this._history !== null ? this._history.entries.map(entry => entry.action) : []
+    }
+
+    /**
+     * Index of the current state in the history
+     * @type {Number}
+     */
+    get historyIndex () {
+        return this._history !== null ? this._history.index : 0
+    }
+
+    /**
+     * True if there is the state to go back to
+     * @type {Boolean}
+     */
+    get canUndo () {
+        return this._history !== null && this._history.index > 0
+    }
+
+    /**
+     * True if there is the undone state to go forward to
+     * @type {Boolean}
+     */
+    get canRedo () {
+        return this._history !== null && this._history.index < this._history.entries.length - 1
+    }
+
+    /**
+     * Method to go back to the state before the last action
+     */
+    undo () {
+        if (this.canUndo) {
+            this.jumpTo(this._history.index - 1)
+        }
+    }
+
+    /**
+     * Method to go forward to the state after the undone action
+     */
+    redo () {
+        if (this.canRedo) {
+            this.jumpTo(this._history.index + 1)
+        }
+    }
+
+    /**
+     * Method to go to the recorded state (time travel). The next dispatched action removes the states after it. The change is dispatched through the middleware as the `StateActionType.jump` action
+     * @param {Number} index Index of the state in the history
+     */
+    jumpTo (index) {
+        if (this._history === null) {
+            throw new Error("The history is not enabled for the state")
+        }
+
+        if (!(index >= 0 && index < this._history.entries.length)) {
+            throw new Error("There is no state with index " + index + " in the history")
+        }
+
+        if (index !== this._history.index) {
+            this.dispatch({ type: StateActionType.jump, index })
+        }
+    }
+
+    /**
+     * Method to calculate the state again from the first recorded state with the recorded actions (to check the reducer after changing it, for example)
+     * @param {Function} [reducer] New reducer to use
+     */
+    replay (reducer = this._reducer) {
+        if (this._history === null) {
+            throw new Error("The history is not enabled for the state")
+        }
+
+        var entries = this._history.entries
+        var state = entries[0].state
+        this._reducer = reducer
+
+        for (let i = 1; i < entries.length; ++i) {
+            state = reducer(state, entries[i].action)
+            entries[i].state = state
+        }
+
+        this.dispatch({ type: StateActionType.jump, index: this._history.index })
+    }
+}
@@ -0,0 +1,203 @@
+//
+// StyleSheet.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+/**
+ * A function to convert the name of the style from camel case (`backgroundColor`) to CSS (`background-color`)
+ * @param   {String} str
+ * @returns {String}
+ */
+export function camelCaseToCSSStyle(str) {
+    // Add the hyphen before each upper case letter and convert it to lower case (`-webkit-` prefix is kept this way)
+    return str.replace(/[A-Z]/g, letter => "-" + letter.toLowerCase())
+}
+
+/**
+ * A function to convert the styles object to the CSS declarations string
+ * @param   {Object}  styles      Styles (key: value)
+ * @param   {Boolean} [important] If true, the declarations are marked as `!important`
+ * @returns {String} CSS declarations (`color:red;margin:0;`)
+ */
+export function stylesToCSS(styles, important = false) {
+    var result = ""
+
+    for (let style in styles) {
+        if (styles[style] !== null && styles[style] !== undefined && String(styles[style]) !== "") {
+            result += camelCaseToCSSStyle(style.toString()) + ":" + styles[style].toString() + (important ? " !important;" : ";")
+        }
+    }
+
+    return result
+}
+
+var sharedStyleSheet = null
+
+function hashString(str) {
+    var hash = 5381
+
+    for (let i = 0; i < str.length; ++i) {
+        hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0
+    }
+
+    return (hash >>> 0).toString(36)
+}
+
+/**
+ * A class that collects the styles of the views into the generated CSS classes.
+ * Identical styles share one class, so the rendered HTML is smaller than with inline styles
+ * @class
+ * @example
+ * // server
+ * const styleSheet = new StyleSheet()
+ * const body = view.toString("server", { styleSheet })
+ * const head = styleSheet.toHTMLString()
+ *
+ * // client
+ * const styleSheet = new StyleSheet()
+ * styleSheet.mountTo(document.head)
+ * View.useStyleSheet(styleSheet)
+ */
+export class StyleSheet {
+    /**
+     * @param {Object} [options]
+     * @param {String} [options.prefix] Prefix of the generated class names
+     */
+    constructor ({ prefix = "bon-" } = {}) {
+        this.prefix = prefix
+        this.rules = new Map()
+        this.dom = null
+    }
+
+    /**
+     * A method to get the name of the class that applies the styles. The rules are added to the style sheet if they are not there yet
+     * @param   {Object}    styles                  Styles (key: value)
+     * @param   {Object}    [options]
+     * @param   {Object[]}  [options.variants]      Styles that are applied only with the selector suffix (`:hover` etc.) and/or the media query. Items are `{ selector, media, styles }`
+     * @param   {Boolean}   [options.important]     If true, the declarations of the variants are marked as `!important` (to override the inline styles)
+     * @returns {String|null} Name of the class (null if there are no styles)
+     */
+    getClassName (styles, { variants = [], important = false } = {}) {
+        var declarations = stylesToCSS(styles)
+        var variantRules = variants.map(({ selector = "", media = null, styles }) => {
+            return { selector, media, declarations: stylesToCSS(styles, important) }
+        }).filter(variant => variant.declarations !== "")
+
+        if (declarations === "" && variantRules.length === 0) {
+            return null
+        }
+
+        var className = this.prefix + hashString(declarations + JSON.stringify(variantRules))
+
+        if (!this.rules.has(className)) {
+            let rule = declarations !== "" ? `.${className}{${declarations}}` : ""
+
+            variantRules.forEach(({ selector, media, declarations }) => {
+                let variantRule = selector.split(",").map(item => `.${className}${item.trim()}`).join(",") + `{${declarations}}`
+                rule += media !== null ? `@media ${media}{${variantRule}}` : variantRule
+            })
+
+            this.addRule(className, rule)
+        }
+
+        return className
+    }
+
+    /**
+     * A method to add the CSS rule to the style sheet
+     * @param {String} className    Name of the class the rule is generated for
+     * @param {String} rule         CSS text of the rule
+     */
+    addRule (className, rule) {
+        this.rules.set(className, rule)
+
+        if (this.dom !== null) {
+            this.dom.appendChild(this.dom.ownerDocument.createTextNode(rule))
+        }
+    }
+
+    /**
+     * A method to mount the style sheet to the DOM. If there is a style sheet rendered on the server, it is reused
+     * @param {Node} [parent] DOM node where to add the `<style>` element
+     */
+    mountTo (parent = document.head) {
+        var dom = parent.querySelector(`style[data-bon-ui-styles="${this.prefix}"]`)
+        var renderedClassNames = []
+
+        if (dom === null) {
+            dom = parent.ownerDocument.createElement("style")
+            dom.setAttribute("data-bon-ui-styles", this.prefix)
+            parent.appendChild(dom)
+        } else {
+            renderedClassNames = (dom.textContent.match(new RegExp(`\\.${this.prefix}[a-z0-9]+`, "g")) || []).map(item => item.substr(1))
+        }
+
+        this.rules.forEach((rule, className) => {
+            if (renderedClassNames.indexOf(className) < 0) {
+                dom.appendChild(dom.ownerDocument.createTextNode(rule))
+            }
+        })
+
+        renderedClassNames.forEach(className => {
+            if (!this.rules.has(className)) {
+                this.rules.set(className, null)
+            }
+        })
+
+        this.dom = dom
+    }
+
+    /**
+     * The style sheet that is used on the client for the styles that can not be inline (`:hover`, media queries etc.) when the views are rendered with the inline styles.
+     * It is mounted to the `document.head` when the first view uses it
+     * @type {StyleSheet}
+     */
+    static get shared () {
+        if (sharedStyleSheet === null) {
+            sharedStyleSheet = StyleSheet.createShared()
+        }
+
+        return sharedStyleSheet
+    }
+
+    /**
+     * A function to create the style sheet like `StyleSheet.shared` for one rendering on the server (the shared style sheet on the client reuses its `<style>` element)
+     * @example
+     * const sharedStyleSheet = StyleSheet.createShared()
+     * const body = view.toString("server", { sharedStyleSheet })
+     * const head = sharedStyleSheet.toHTMLString()
+     * @returns {StyleSheet}
+     */
+    static createShared () {
+        return new StyleSheet({ prefix: "bon-shared-" })
+    }
+
+    /**
+     * A method to get the CSS text of the style sheet
+     * @returns {String}
+     */
+    toString () {
+        var result = ""
+
+        this.rules.forEach(rule => {
+            if (rule !== null) {
+                result += rule
+            }
+        })
+
+        return result
+    }
+
+    /**
+     * A method to get the style sheet as the `<style>` element HTML string
+     * @returns {String}
+     */
+    toHTMLString () {
+        return `<style data-bon-ui-styles="${this.prefix}">${this.toString().replace(/<\//g, "<\\/")}</style>`
+    }
+}
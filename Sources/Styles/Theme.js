@@ -0,0 +1,296 @@
+//
+// Theme.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Enum } from "../Values/Enum"
+import { Color, Colors } from "../Values/Color"
+import { Font, Fonts } from "../Values/Font"
+import { camelCaseToCSSStyle } from "./StyleSheet"
+
+/**
+ * @enum
+ * @property {Symbol} auto      The theme follows the `prefers-color-scheme` of the browser
+ * @property {Symbol} light     The light theme is always used
+ * @property {Symbol} dark      The dark theme is always used
+ */
+export const ColorScheme = new Enum("auto", "light", "dark")
+
+function colorVariable(name) {
+    return `--bon-color-${camelCaseToCSSStyle(name)}`
+}
+
+function fontVariable(name) {
+    return `--bon-font-${camelCaseToCSSStyle(name)}`
+}
+
+/**
+ * A class to describe the set of semantic colors and fonts
+ * @class
+ */
+export class Theme {
+    /**
+     * @param {Object}  options
+     * @param {Object}  [options.colors]    Colors of the theme (`primary`, `background`, `secondaryBackground`, `label`, `secondaryLabel`, `separator`, `controlBackground`, `controlHighlight`, `controlPressed`, `error`)
+     * @param {Object}  [options.fonts]     Fonts of the theme (`body`, `title`, `largeTitle`, `subheading`, `monospace`)
+     */
+    constructor ({ colors = {}, fonts = {} }) {
+        this.colors = {}
+        this.fonts = {}
+
+        for (let name in colors) {
+            if (colors[name] instanceof Color) {
+                this.colors[name] = colors[name]
+            }
+        }
+
+        for (let name in fonts) {
+            if (fonts[name] instanceof Font) {
+                this.fonts[name] = fonts[name]
+            }
+        }
+    }
+
+    /**
+     * A method to create a copy of a theme and change some of colors and fonts
+     * @param {Object}  options
+     * @param {Object}  [options.colors]    Colors to change
+     * @param {Object}  [options.fonts]     Fonts to change
+     * @returns {Theme}
+     */
+    with ({ colors = {}, fonts = {} }) {
+        return new Theme({
+            colors: Object.assign({}, this.colors, colors),
+            fonts: Object.assign({}, this.fonts, fonts)
+        })
+    }
+
+    /**
+     * A method to convert the theme to the CSS custom properties declarations
+     * @returns {String}
+     */
+    toCSSVariables () {
+        var result = ""
+
+        for (let name in this.colors) {
+            result += `${colorVariable(name)}:${this.colors[name]};`
+        }
+
+        for (let name in this.fonts) {
+            result += `${fontVariable(name)}:${this.fonts[name]};`
+        }
+
+        return result
+    }
+
+    /**
+     * A function to set the themes that are used for the light and the dark color schemes
+     * @param {Object}  options
+     * @param {Theme}   [options.light]     Theme for the light color scheme
+     * @param {Theme}   [options.dark]      Theme for the dark color scheme
+     */
+    static use ({ light, dark }) {
+        if (light instanceof Theme) {
+            lightTheme = light
+        }
+
+        if (dark instanceof Theme) {
+            darkTheme = dark
+        }
+
+        updateThemeDOM()
+    }
+
+    /**
+     * A function to set the color scheme at runtime. The views are not invalidated, the colors are changed through CSS
+     * @param {Symbol} scheme Item of the ColorScheme enum
+     */
+    static setColorScheme (scheme) {
+        if (ColorScheme.contains(scheme)) {
+            colorScheme = scheme
+            updateThemeDOM()
+        }
+    }
+
+    /**
+     * The color scheme that is used. Item of the ColorScheme enum
+     * @type {Symbol}
+     */
+    static get colorScheme () {
+        return colorScheme
+    }
+
+    /**
+     * The theme that is applied now (if the color scheme is `auto`, it is detected with `prefers-color-scheme` on the client and is light on the server)
+     * @type {Theme}
+     */
+    static get current () {
+        if (colorScheme === ColorScheme.auto) {
+            let prefersDark = typeof window !== "undefined" && typeof window.matchMedia === "function" && window.matchMedia("(prefers-color-scheme:dark)").matches
+            return prefersDark ? darkTheme : lightTheme
+        }
+
+        return colorScheme === ColorScheme.dark ? darkTheme : lightTheme
+    }
+
+    /**
+     * A function to get the CSS with the custom properties of the themes
+     * @param   {Object}    [options]
+     * @param   {Symbol}    [options.colorScheme]   Item of the ColorScheme enum (the one set with `Theme.setColorScheme` by default)
+     * @returns {String}
+     */
+    static toCSS ({ colorScheme: scheme = colorScheme } = {}) {
+        switch (scheme) {
+            case ColorScheme.light:
+                return `:root{${lightTheme.toCSSVariables()}}`
+            case ColorScheme.dark:
+                return `:root{${darkTheme.toCSSVariables()}}`
+            default:
+                return `:root{${lightTheme.toCSSVariables()}}@media (prefers-color-scheme:dark){:root{${darkTheme.toCSSVariables()}}}`
+        }
+    }
+
+    /**
+     * A function to get the CSS of the themes as the `<style>` element HTML string. Add it to the page head when rendering on the server
+     * @param   {Object}    [options]
+     * @param   {Symbol}    [options.colorScheme]   Item of the ColorScheme enum (the one set with `Theme.setColorScheme` by default)
+     * @returns {String}
+     */
+    static toHTMLString ({ colorScheme: scheme = colorScheme } = {}) {
+        return `<style data-bon-ui-theme>${Theme.toCSS({ colorScheme: scheme }).replace(/<\//g, "<\\/")}</style>`
+    }
+
+    /**
+     * A function to mount the CSS of the themes to the DOM. If there is a theme style rendered on the server, it is reused
+     * @param {Node} [parent] DOM node where to add the `<style>` element
+     */
+    static mountTo (parent = document.head) {
+        themeDOM = parent.querySelector("style[data-bon-ui-theme]")
+
+        if (themeDOM === null) {
+            themeDOM = parent.ownerDocument.createElement("style")
+            themeDOM.setAttribute("data-bon-ui-theme", "")
+            parent.appendChild(themeDOM)
+        }
+
+        updateThemeDOM()
+    }
+}
+
+/**
+ * A color that refers to the color of the current theme
+ * @class
+ * @extends Color
+ */
+export class ThemeColor extends Color {
+    /**
+     * @param {String} name     Name of the color in the theme
+     * @param {Color}  fallback Color that is used when the theme is not loaded
+     */
+    constructor (name, fallback) {
+        super(fallback)
+        this.name = name
+    }
+
+    toString () {
+        return `var(${colorVariable(this.name)}, ${Color.prototype.toString.call(this)})`
+    }
+}
+
+/**
+ * A font that refers to the font of the current theme
+ * @class
+ * @extends Font
+ */
+export class ThemeFont extends Font {
+    /**
+     * @param {String} name     Name of the font in the theme
+     * @param {Font}   fallback Font that is used when the theme is not loaded
+     */
+    constructor (name, fallback) {
+        super(fallback)
+
+        // `name` of the font is its family, so the name in the theme is kept apart
+        this.role = name
+    }
+
+    toString () {
+        return `var(${fontVariable(this.role)}, ${Font.prototype.toString.call(this)})`
+    }
+}
+
+/**
+ * The list of handpicked themes
+ */
+export const Themes = {
+    light: new Theme({
+        colors: {
+            primary: Colors.ultramarineBlue,
+            background: Colors.white,
+            secondaryBackground: new Color({ red: 0xF2, green: 0xF2, blue: 0xF7 }),
+            label: Colors.black,
+            secondaryLabel: Colors.gray,
+            separator: Colors.lightGray,
+            controlBackground: Colors.white,
+            controlHighlight: Colors.ultramarineBlue.withAlpha(0.1),
+            controlPressed: Colors.ultramarineBlue.withAlpha(0.2),
+            error: Colors.pantoneRed
+        },
+        fonts: {
+            body: Fonts.default,
+            title: Fonts.title,
+            largeTitle: Fonts.largeTitle,
+            subheading: Fonts.subheading,
+            monospace: Fonts.monospace
+        }
+    })
+}
+
+Themes.dark = Themes.light.with({
+    colors: {
+        primary: Colors.aero,
+        background: Colors.darkGray,
+        secondaryBackground: new Color({ red: 0x33, green: 0x33, blue: 0x38 }),
+        label: Colors.white,
+        secondaryLabel: Colors.lightGray,
+        separator: Colors.gray,
+        controlBackground: Colors.darkGray,
+        controlHighlight: Colors.aero.withAlpha(0.15),
+        controlPressed: Colors.aero.withAlpha(0.3),
+        error: Colors.paradisePink
+    }
+})
+
+var lightTheme = Themes.light
+var darkTheme = Themes.dark
+var colorScheme = ColorScheme.auto
+var themeDOM = null
+
+function updateThemeDOM () {
+    if (themeDOM !== null) {
+        themeDOM.textContent = Theme.toCSS()
+    }
+}
+
+/**
+ * The colors of the current theme (they are changed when the theme or the color scheme is changed)
+ */
+export const ThemeColors = {}
+
+for (let name in Themes.light.colors) {
+    ThemeColors[name] = new ThemeColor(name, Themes.light.colors[name])
+}
+
+/**
+ * The fonts of the current theme (they are changed when the theme or the color scheme is changed)
+ */
+export const ThemeFonts = {}
+
+for (let name in Themes.light.fonts) {
+    ThemeFonts[name] = new ThemeFont(name, Themes.light.fonts[name])
+}
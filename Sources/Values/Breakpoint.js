@@ -0,0 +1,99 @@
+//
+// Breakpoint.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Length, pixels } from "./Length"
+
+function toLength(value) {
+    if (value instanceof Length) {
+        return value
+    }
+
+    return typeof value === "number" || value instanceof Number ? pixels(value) : null
+}
+
+/**
+ * A class to describe the range of the viewport widths
+ * @class
+ */
+export class Breakpoint {
+    /**
+     * @param {Object}          options
+     * @param {Length|Number}   [options.minWidth]  Minimal width of the viewport (inclusive)
+     * @param {Length|Number}   [options.maxWidth]  Maximal width of the viewport (inclusive)
+     */
+    constructor ({ minWidth = null, maxWidth = null }) {
+        this.minWidth = toLength(minWidth)
+        this.maxWidth = toLength(maxWidth)
+    }
+
+    /**
+     * A method to check if the viewport width is in the range of the breakpoint.
+     * Returns false if the viewport is unknown (when rendering on the server)
+     * @returns {Boolean}
+     */
+    matches () {
+        if (typeof window === "undefined" || typeof window.matchMedia !== "function") {
+            return false
+        }
+
+        return window.matchMedia(this.toString()).matches
+    }
+
+    /**
+     * A method to add listener for the change of the breakpoint matching
+     * @param   {Function} listener Function that receives `true` if the breakpoint matches after the change
+     * @returns {Function} Function to remove this listener
+     */
+    subscribe (listener) {
+        if (typeof window === "undefined" || typeof window.matchMedia !== "function") {
+            return () => {}
+        }
+
+        const query = window.matchMedia(this.toString())
+        const handler = () => listener(query.matches)
+
+        if (typeof query.addEventListener === "function") {
+            query.addEventListener("change", handler)
+            return () => query.removeEventListener("change", handler)
+        }
+
+        query.addListener(handler)
+        return () => query.removeListener(handler)
+    }
+
+    /**
+     * @returns {String} CSS media query
+     */
+    toString () {
+        var conditions = []
+
+        if (this.minWidth !== null) {
+            conditions.push(`(min-width:${this.minWidth})`)
+        }
+
+        if (this.maxWidth !== null) {
+            conditions.push(`(max-width:${this.maxWidth})`)
+        }
+
+        return conditions.length > 0 ? conditions.join(" and ") : "all"
+    }
+}
+
+/**
+ * The list of handpicked breakpoints
+ */
+export const Breakpoints = {
+    // phones
+    compact: new Breakpoint({ maxWidth: 599 }),
+    // tablets and small windows
+    regular: new Breakpoint({ minWidth: 600, maxWidth: 1099 }),
+    // desktops
+    wide: new Breakpoint({ minWidth: 1100 })
+}
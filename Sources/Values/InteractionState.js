@@ -0,0 +1,50 @@
+//
+// InteractionState.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Enum } from "./Enum"
+
+/**
+ * The enum that is used to set the styles of the view for the specific state.
+ * When several states are active, the later ones in this list take precedence
+ * @enum
+ * @property {Symbol} hover         The pointer is over the view
+ * @property {Symbol} focus         The view has focus
+ * @property {Symbol} focusVisible  The view has focus and the browser thinks that it should be visible (keyboard navigation)
+ * @property {Symbol} active        The view is being pressed
+ * @property {Symbol} checked       The view (checkbox, toggle or radio button) is checked
+ * @property {Symbol} disabled      The view (control) is disabled
+ */
+export const InteractionState = new Enum("hover", "focus", "focusVisible", "active", "checked", "disabled")
+
+/**
+ * A function to convert the InteractionState enum item to the CSS selector suffix
+ * @param   {Symbol} state An item of the `InteractionState` enum
+ * @returns {String} CSS pseudo-class or attribute selector
+ */
+export function interactionStateToCssSelector(state) {
+    if (!InteractionState.contains(state)) {
+        return undefined
+    }
+
+    switch (state) {
+        case InteractionState.hover:
+            return ":hover"
+        case InteractionState.focus:
+            return ":focus"
+        case InteractionState.focusVisible:
+            return ":focus-visible"
+        case InteractionState.active:
+            return ":active"
+        case InteractionState.checked:
+            return ":checked"
+        case InteractionState.disabled:
+            return "[disabled]"
+    }
+}
@@ -9,8 +9,8 @@
 // 
 
 import { Control } from "../Generic/Control"
-import { Colors } from "../../Values/Color"
-import { Fonts } from "../../Values/Font"
+import { ThemeColors, ThemeFonts } from "../../Styles/Theme"
+import { InteractionState } from "../../Values/InteractionState"
 
 /**
  * A view that represents the button
@@ -28,9 +28,12 @@ export class Button extends Control {
         this.styles.cursor = "pointer"
         this.setOutline({ all: 0 })
             .setPadding({ all: 7 })
-            .setFont(Fonts.inherit)
-            .setBackground({ color: Colors.white })
-            .setForeground({ color: Colors.ultramarineBlue })
+            .setFont(ThemeFonts.body)
+            .setBackground({ color: ThemeColors.controlBackground })
+            .setForeground({ color: ThemeColors.primary })
+            .setStylesFor(InteractionState.hover, style => style.setBackground({ color: ThemeColors.controlHighlight }))
+            .setStylesFor(InteractionState.active, style => style.setBackground({ color: ThemeColors.controlPressed }))
+            .setStylesFor(InteractionState.disabled, style => style.setBackground({ color: ThemeColors.controlBackground }))
     }
 
     getBody () {
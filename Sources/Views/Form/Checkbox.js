@@ -0,0 +1,95 @@
+//
+// Checkbox.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Control } from "../Generic/Control"
+import { ThemeColors } from "../../Styles/Theme"
+import { Binding } from "../../State/Binding"
+
+/**
+ * A view that represents the checkbox (the native `<input type="checkbox">`).
+ * If the value is specified, the checkbox shows it after each rendering. With the binding the value is changed when the user checks the checkbox
+ * @class
+ * @extends Control
+ * @example
+ * new Checkbox({ value: this.bind("subscribed") })
+ */
+export class Checkbox extends Control {
+    /**
+     * @param {Object}          [options]
+     * @param {Binding|Boolean} [options.value]     Value of the checkbox or the binding to it
+     * @param {Function}        [options.onChange]  Function that receives the new value and the event when the user checks or unchecks the checkbox
+     */
+    constructor ({ value, onChange = null } = {}) {
+        super()
+        this.value = value
+        this.onChange = onChange
+        this.styles.cursor = "pointer"
+        this.styles.accentColor = ThemeColors.primary
+        this.setOffset({ all: 0 })
+            .addHandlerFor("change", event => this.handleChange(event))
+    }
+
+    /**
+     * The value that is shown by the checkbox (undefined if the checkbox is not controlled)
+     * @type {Boolean|undefined}
+     */
+    get currentValue () {
+        var value = Binding.valueOf(this.value)
+        return value !== undefined ? Boolean(value) : undefined
+    }
+
+    /**
+     * A method called when the user checks or unchecks the checkbox
+     * @param {Event} event
+     */
+    handleChange (event) {
+        var value = event.target.checked
+
+        if (this.value instanceof Binding) {
+            this.value.value = value
+        }
+
+        if (typeof this.onChange === "function") {
+            this.onChange(value, event)
+        }
+    }
+
+    /**
+     * A method to show the value in the checkbox DOM (the attribute is the initial value only)
+     */
+    syncValue () {
+        var dom = this.lastVNode.dom
+        var value = this.currentValue
+
+        if (value !== undefined && dom.checked !== value) {
+            dom.checked = value
+        }
+    }
+
+    handleMount () {
+        super.handleMount()
+        this.syncValue()
+    }
+
+    handleInvalidation () {
+        super.handleInvalidation()
+        this.syncValue()
+    }
+
+    getBody () {
+        var vNode = super.getBody()
+        var value = this.currentValue
+
+        vNode.tag = "input"
+        vNode.attributes = Object.assign({}, vNode.attributes, { type: "checkbox", checked: value === true ? "checked" : undefined })
+
+        return vNode
+    }
+}
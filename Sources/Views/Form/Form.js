@@ -0,0 +1,390 @@
+//
+// Form.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { View } from "../View"
+import { shallowEqual } from "../PureView"
+import { State } from "../../State/State"
+import { Binding } from "../../State/Binding"
+import { ApplicationManager } from "../../ApplicationManager"
+
+// The error of the field which validator throws (or rejects), so the value is not submitted without the validation
+const failedValidationMessage = "The value can not be validated"
+
+// The parts of the state of the form that are merged with the changes (see `Form.changeStore`)
+const mergedKeys = [ "values", "touched", "errors", "validations" ]
+
+function isPromise(value) {
+    return value !== null && typeof value === "object" && typeof value.then === "function"
+}
+
+function toError(value) {
+    return typeof value === "string" && value !== "" ? value : null
+}
+
+/**
+ * A function to call the validators in order until one of them returns the error
+ * @param   {Function[]}    validators
+ * @param   {*}             value       Value of the field
+ * @param   {Object}        values      Values of the form
+ * @param   {Function}      onFailure   Function that receives the error thrown by the validator (or the reason of the rejection) and returns the error message
+ * @param   {Number}        [index]     Index of the validator to start with
+ * @returns {String|null|Promise} Error message (the promise of it if one of the validators is async)
+ */
+function runValidators(validators, value, values, onFailure, index = 0) {
+    for (let i = index; i < validators.length; ++i) {
+        let result
+
+        try {
+            result = validators[i](value, values)
+        } catch (error) {
+            return onFailure(error)
+        }
+
+        if (isPromise(result)) {
+            return result.then(result => toError(result) || runValidators(validators, value, values, onFailure, i + 1), onFailure)
+        }
+
+        if (toError(result) !== null) {
+            return toError(result)
+        }
+    }
+
+    return null
+}
+
+function formReducer(state, action) {
+    switch (action.type) {
+        case "set":
+            return Object.assign({}, state, action.value)
+        default:
+            return state
+    }
+}
+
+/**
+ * A view that groups the controls, keeps their values and validates them.
+ * It is rendered as the native `<form>`, so it can be submitted without JavaScript when it is rendered on the server.
+ * The fields get the values with the bindings (see `field`), `FormField` shows the error messages and `SubmitButton` is disabled while the form is invalid or submitting.
+ * If the submit handler fails, the error is kept in `submitError`
+ * @class
+ * @extends View
+ * @example
+ * new Form({
+ *     action: "/sign-up",
+ *     initialValues: { email: "", password: "" },
+ *     validators: {
+ *         email: [ Validators.required(), Validators.email(), email => api.isFree(email).then(isFree => isFree ? null : "The email is taken") ],
+ *         password: Validators.minLength(8)
+ *     },
+ *     onSubmit: values => api.signUp(values),
+ *     content: form => new VStack([
+ *         new FormField({ name: "email", label: "Email", control: field => new TextBox({ type: TextBoxType.email, value: field }) }),
+ *         new FormField({ name: "password", label: "Password", control: field => new TextBox({ type: TextBoxType.password, value: field }) }),
+ *         new SubmitButton(new Text("Sign up"))
+ *     ])
+ * })
+ */
+export class Form extends View {
+    /**
+     * @param {Object}      options
+     * @param {Function}    options.content         Function that receives the form and returns the view with the fields
+     * @param {Object}      [options.initialValues] Values of the fields (name: value)
+     * @param {Object}      [options.validators]    Validators of the fields (name: validator or validators that are called in order). See `Validators`
+     * @param {Function}    [options.validate]      Function that receives the values and returns (or resolves with) the errors of the fields (name: message)
+     * @param {Function}    [options.onSubmit]      Function that receives the values of the valid form. It can return (or resolve with) the errors of the fields. If it throws (or rejects), the error is kept in `submitError`
+     * @param {String}      [options.action]        URL where the native form is submitted without JavaScript
+     * @param {String}      [options.method]        HTTP method of the native form
+     */
+    constructor ({ content, initialValues = {}, validators = {}, validate = null, onSubmit = null, action = null, method = "post" }) {
+        super({ content, initialValues, validators, validate, onSubmit, action, method })
+        this.providedEnvironment.form = this
+        this.addHandlerFor("submit", event => this.submit(event))
+    }
+
+    getInitialState () {
+        // The values are kept in the store, so the results of the async validation are not lost when the form is replaced with the new instance
+        return {
+            store: new State(formReducer, {
+                initialState: { values: Object.assign({}, this.options.initialValues), touched: {}, errors: {}, validations: {}, submitCount: 0, isSubmitting: false, submitError: null }
+            })
+        }
+    }
+
+    /**
+     * The state of the form (`values`, `touched`, `errors`, `validations`, `submitCount`, `isSubmitting` and `submitError`)
+     * @type {State}
+     */
+    get store () {
+        return this.state.get("store")
+    }
+
+    /**
+     * A method to change the state of the form. The objects (`values`, `touched`, `errors` and `validations`) are merged with the current ones
+     * @param {Object} changes
+     */
+    changeStore (changes) {
+        var current = this.store.current
+        var value = {}
+
+        for (let key in changes) {
+            value[key] = mergedKeys.includes(key) ? Object.assign({}, current[key], changes[key]) : changes[key]
+        }
+
+        this.store.dispatch({ type: "set", value })
+    }
+
+    /**
+     * Values of the fields
+     * @type {Object}
+     */
+    get values () {
+        return this.store.current.values
+    }
+
+    /**
+     * True if the form is being submitted
+     * @type {Boolean}
+     */
+    get isSubmitting () {
+        return this.store.current.isSubmitting
+    }
+
+    /**
+     * The error of the last submission (the submit handler or the validation of the form failed). It is removed when the form is submitted again
+     * @type {*}
+     */
+    get submitError () {
+        return this.store.current.submitError
+    }
+
+    /**
+     * True if the async validators are not resolved yet
+     * @type {Boolean}
+     */
+    get isValidating () {
+        var { validations } = this.store.current
+        return Object.keys(validations).some(name => validations[name] !== null)
+    }
+
+    /**
+     * True if none of the fields has the error and the validation is finished
+     * @type {Boolean}
+     */
+    get isValid () {
+        var { errors } = this.store.current
+        return !this.isValidating && Object.keys(errors).every(name => errors[name] === null)
+    }
+
+    /**
+     * True if the values are changed
+     * @type {Boolean}
+     */
+    get isDirty () {
+        return Object.keys(this.values).some(name => this.isFieldDirty(name))
+    }
+
+    /**
+     * A method to check if the value of the field is changed
+     * @param   {String}    name
+     * @returns {Boolean}
+     */
+    isFieldDirty (name) {
+        return this.values[name] !== this.options.initialValues[name]
+    }
+
+    /**
+     * A method to check if the user left the field
+     * @param   {String}    name
+     * @returns {Boolean}
+     */
+    isFieldTouched (name) {
+        return this.store.current.touched[name] === true
+    }
+
+    /**
+     * A method to get the error of the field that is shown to the user (after the user leaves the field or submits the form)
+     * @param   {String}        name
+     * @returns {String|null}
+     */
+    getError (name) {
+        var { errors, submitCount } = this.store.current
+
+        if (!(this.isFieldTouched(name) || submitCount > 0)) {
+            return null
+        }
+
+        return errors[name] || null
+    }
+
+    /**
+     * A method to get the value of the field
+     * @param   {String} name
+     * @returns {*}
+     */
+    getValue (name) {
+        return this.values[name]
+    }
+
+    /**
+     * A method to change the value of the field and validate it
+     * @param {String}  name
+     * @param {*}       value
+     */
+    setValue (name, value) {
+        this.changeStore({ values: { [name]: value } })
+        this.validateField(name)
+    }
+
+    /**
+     * A method to create the binding to the value of the field (to pass it to the control)
+     * @param   {String}    name
+     * @returns {Binding}
+     */
+    field (name) {
+        return new Binding({
+            get: () => this.getValue(name),
+            set: value => this.setValue(name, value)
+        })
+    }
+
+    /**
+     * A method to mark the field as the one the user left, so its error is shown
+     * @param {String} name
+     */
+    touch (name) {
+        if (!this.isFieldTouched(name)) {
+            this.changeStore({ touched: { [name]: true } })
+        }
+    }
+
+    /**
+     * A method to validate the field with its validators. The errors of the async validators that are outdated are ignored
+     * @param   {String}    name
+     * @returns {Promise}   Promise of the error (null if the value is valid)
+     */
+    validateField (name) {
+        var validators = this.options.validators[name]
+
+        if (validators === undefined) {
+            return Promise.resolve(null)
+        }
+
+        var error = runValidators([].concat(validators), this.getValue(name), this.values, error => {
+            this.reportError(error)
+            return failedValidationMessage
+        })
+
+        if (!isPromise(error)) {
+            this.changeStore({ errors: { [name]: error }, validations: { [name]: null } })
+            return Promise.resolve(error)
+        }
+
+        var validation = {}
+        this.changeStore({ validations: { [name]: validation } })
+
+        return error.then(error => {
+            if (this.store.current.validations[name] === validation) {
+                this.changeStore({ errors: { [name]: error }, validations: { [name]: null } })
+            }
+
+            return error
+        })
+    }
+
+    /**
+     * A method to validate all the fields and the form
+     * @returns {Promise<Boolean>} True if the form is valid
+     */
+    validate () {
+        var names = Object.keys(this.options.validators)
+        var fields = Promise.all(names.map(name => this.validateField(name)))
+        var { validate } = this.options
+
+        return fields.then(() => typeof validate === "function" ? validate(this.values) : null).then(errors => {
+            if (errors !== null && typeof errors === "object") {
+                this.changeStore({ errors })
+            }
+
+            return this.isValid
+        })
+    }
+
+    /**
+     * A method to validate and submit the form. Called when the native form is submitted
+     * @param   {Event}     [event]
+     * @returns {Promise<Boolean>} True if the form is submitted (the promise is not rejected, the error is kept in `submitError`)
+     */
+    submit (event) {
+        if (event !== undefined && typeof event.preventDefault === "function") {
+            event.preventDefault()
+        }
+
+        if (this.isSubmitting) {
+            return Promise.resolve(false)
+        }
+
+        this.changeStore({ submitCount: this.store.current.submitCount + 1, isSubmitting: true, submitError: null })
+
+        return this.validate().then(isValid => {
+            if (!isValid || typeof this.options.onSubmit !== "function") {
+                return isValid
+            }
+
+            return Promise.resolve(this.options.onSubmit(this.values)).then(errors => {
+                if (errors !== null && typeof errors === "object") {
+                    this.changeStore({ errors })
+                    return this.isValid
+                }
+
+                return true
+            })
+        }).catch(error => {
+            this.reportError(error)
+            this.changeStore({ submitError: error })
+            return false
+        }).finally(() => {
+            this.changeStore({ isSubmitting: false })
+        })
+    }
+
+    /**
+     * A method to report the error of the validator or the submit handler with `ApplicationManager.reportError`
+     * @param {*} error
+     */
+    reportError (error) {
+        ApplicationManager.reportError(error, { path: [ this.constructor.name || "Form" ] })
+    }
+
+    /**
+     * A method to set the initial values and remove the errors
+     */
+    reset () {
+        this.store.dispatch({ type: "set", value: { values: Object.assign({}, this.options.initialValues), touched: {}, errors: {}, validations: {}, submitCount: 0, isSubmitting: false, submitError: null } })
+    }
+
+    getBody () {
+        var vNode = super.getBody()
+
+        // The fields select the parts they show themselves, so the form is not rendered again when the fields are touched or validated
+        this.select(this.store, ({ values, errors, submitCount, isSubmitting, submitError }) => ({ values, errors, submitCount, isSubmitting, submitError }), shallowEqual)
+
+        vNode.tag = "form"
+        vNode.body = [ this.options.content(this) ]
+
+        // The attributes are copied as they are shared with the view
+        vNode.attributes = Object.assign({}, vNode.attributes, { method: this.options.method })
+
+        if (this.options.action !== null) {
+            vNode.attributes.action = this.options.action
+        }
+
+        return vNode
+    }
+}
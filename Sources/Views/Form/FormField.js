@@ -0,0 +1,86 @@
+//
+// FormField.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { View } from "../View"
+import { Text } from "../Generic/Text"
+import { ThemeColors } from "../../Styles/Theme"
+
+/**
+ * A view that shows the control of the form field with its label and its error message.
+ * The control gets the name of the field (so the native form submits its value) and is marked as invalid when the error is shown.
+ * The error is shown after the user leaves the field or submits the form
+ * @class
+ * @extends View
+ * @example
+ * new FormField({
+ *     name: "email",
+ *     label: "Email",
+ *     control: field => new TextBox({ type: TextBoxType.email, value: field })
+ * })
+ */
+export class FormField extends View {
+    /**
+     * @param {Object}      options
+     * @param {String}      options.name        Name of the field
+     * @param {Function}    options.control     Function that receives the binding to the value of the field and returns the control
+     * @param {String}      [options.label]     Text of the label
+     */
+    constructor ({ name, control, label = null }) {
+        super({ name, control, label })
+        this.styles.display = "flex"
+        this.styles.flexDirection = "column"
+        this.addHandlerFor("focusout", () => this.handleBlur())
+    }
+
+    /**
+     * The form that contains the field
+     * @type {Form}
+     */
+    get form () {
+        var form = this.getEnvironment("form", null)
+
+        if (form === null) {
+            throw new Error("The form field is not inside of the form")
+        }
+
+        return form
+    }
+
+    /**
+     * A method called when the control loses the focus
+     */
+    handleBlur () {
+        this.form.touch(this.options.name)
+    }
+
+    getBody () {
+        var vNode = super.getBody()
+        var { name, control, label } = this.options
+        var { form } = this
+        var error = this.select(form.store, () => form.getError(name))
+        var view = control(form.field(name))
+
+        view.setAttributes({ name })
+
+        if (error !== null) {
+            view.setAttributes({ "aria-invalid": "true" })
+        }
+
+        // The label contains the control, so they are connected without the ID
+        vNode.tag = "label"
+        vNode.body = [
+            label !== null ? new Text(label) : null,
+            view,
+            error !== null ? new Text(error).setForeground({ color: ThemeColors.error }).setAttributes({ role: "alert" }) : null
+        ].filter(item => item !== null)
+
+        return vNode
+    }
+}
@@ -0,0 +1,669 @@
+//
+// Picker.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Control } from "../Generic/Control"
+import { VNode } from "../../VirtualDOM/VNode"
+import { ThemeColors, ThemeFonts } from "../../Styles/Theme"
+import { OutlineStyle } from "../../Values/OutlineStyle"
+import { Enum } from "../../Values/Enum"
+import { Binding } from "../../State/Binding"
+
+/**
+ * @enum
+ * @property {Symbol} native    The native `<select>` of the browser
+ * @property {Symbol} popover   The button that opens the styled list of the options (with the search field if the picker is searchable)
+ */
+export const PickerStyle = new Enum("native", "popover")
+
+var lastPicker = 0
+
+/**
+ * A function to convert the item of the options to the option (`{ value, label, disabled }`)
+ * @param   {Object|String|Number} option
+ * @returns {Object}
+ */
+function normalizeOption(option) {
+    if (option !== null && typeof option === "object") {
+        return { value: option.value, label: option.label !== undefined ? String(option.label) : String(option.value), disabled: option.disabled === true }
+    }
+
+    return { value: option, label: String(option), disabled: false }
+}
+
+/**
+ * A function to split the options to the groups. The options that are not in the group are put to the groups without the label
+ * @param   {Array}     options Options, their values and the groups (`{ label, options }`)
+ * @returns {Object}    `groups` (`{ label, options }`) and `items` (all the options, the `index` of each option is its index in this array)
+ */
+function normalizeOptions(options) {
+    var groups = []
+    var items = []
+
+    var add = (option, group) => {
+        var item = Object.assign(normalizeOption(option), { index: items.length })
+        items.push(item)
+        group.options.push(item)
+    }
+
+    options.forEach(option => {
+        if (option !== null && typeof option === "object" && Array.isArray(option.options)) {
+            let group = { label: String(option.label), options: [] }
+            groups.push(group)
+            option.options.forEach(item => add(item, group))
+        } else {
+            if (groups.length === 0 || groups[groups.length - 1].label !== null) {
+                groups.push({ label: null, options: [] })
+            }
+
+            add(option, groups[groups.length - 1])
+        }
+    })
+
+    return { groups, items }
+}
+
+/**
+ * A view that represents the dropdown to pick one of the options.
+ * By default it is the native `<select>`. The popover picker is the button that opens the list of the options,
+ * the list can be filtered with the search field. In the popover the arrow keys, Home and End highlight the options that are not disabled,
+ * Enter picks the highlighted option and Escape closes the list.
+ * If the value is specified, the picker shows it after each rendering. With the binding the value is changed when the user picks the option
+ * @class
+ * @extends Control
+ * @example
+ * new Picker({
+ *     options: [
+ *         { label: "Europe", options: [ { value: "de", label: "Germany" }, { value: "fr", label: "France" } ] },
+ *         { label: "Asia", options: [ { value: "jp", label: "Japan" }, { value: "kp", label: "North Korea", disabled: true } ] }
+ *     ],
+ *     value: this.bind("country"),
+ *     style: PickerStyle.popover,
+ *     searchable: true,
+ *     placeholder: "Country"
+ * })
+ */
+export class Picker extends Control {
+    /**
+     * @param {Object}      options
+     * @param {Array}       options.options         Options (`{ value, label, disabled }`), their values or the groups of them (`{ label, options }`)
+     * @param {Binding|*}   [options.value]         Picked value or the binding to it
+     * @param {Function}    [options.onChange]      Function that receives the picked value and the event when the user picks the option
+     * @param {Symbol}      [options.style]         Item of the PickerStyle enum
+     * @param {String}      [options.placeholder]   Text that is shown when none of the options is picked
+     * @param {Boolean}     [options.searchable]    If true, the popover has the search field to filter the options
+     * @param {String}      [options.name]          Name of the field that is submitted with the native form (the `name` attribute of the picker is used by default)
+     * @param {String}      [options.searchPlaceholder] Placeholder of the search field
+     * @param {String}      [options.emptyText]     Text that is shown when none of the options matches the search
+     */
+    constructor ({ options, value, onChange = null, style = PickerStyle.native, placeholder = "", searchable = false, name = null, searchPlaceholder = "Search", emptyText = "Nothing is found" }) {
+        super()
+        var { groups, items } = normalizeOptions(options)
+
+        this.groups = groups
+        this.items = items
+        this.value = value
+        this.onChange = onChange
+        this.style = PickerStyle.contains(style) ? style : PickerStyle.native
+        this.placeholder = placeholder
+        this.searchable = searchable
+        this.name = name
+        this.searchPlaceholder = searchPlaceholder
+        this.emptyText = emptyText
+        this.setFont(ThemeFonts.body)
+
+        if (this.style === PickerStyle.native) {
+            this.setOutline({ all: 1, color: ThemeColors.separator, style: OutlineStyle.solid, radius: 7 })
+                .setPadding({ all: 7 })
+                .setBackground({ color: ThemeColors.controlBackground })
+                .setForeground({ color: ThemeColors.label })
+                .addHandlerFor("change", event => this.handleChange(event))
+        } else {
+            this.styles.position = "relative"
+            this.styles.display = "inline-block"
+            this.addHandlerFor("click", event => this.handleClick(event))
+                .addHandlerFor("keydown", event => this.handleKeyDown(event))
+                .addHandlerFor("input", event => this.handleSearch(event))
+                .addHandlerFor("focusout", event => this.handleFocusOut(event))
+                .addHandlerFor("mousedown", event => this.handleMouseDown(event))
+                .addHandlerFor("mouseover", event => this.handleMouseOver(event))
+        }
+    }
+
+    getInitialState () {
+        // The generated ID is kept by the instances that replace this one
+        return Object.assign(super.getInitialState(), { id: `picker-${++lastPicker}`, isOpen: false, query: "", highlightedIndex: -1 })
+    }
+
+    /**
+     * The ID that the IDs of the popover elements start with
+     * @type {String}
+     */
+    get id () {
+        return this.attributes.id || this.state.get("id")
+    }
+
+    /**
+     * The name of the field that is submitted with the native form
+     * @type {String|undefined}
+     */
+    get fieldName () {
+        return this.name || this.attributes.name
+    }
+
+    /**
+     * The picked value (undefined if the picker is not controlled)
+     * @type {*}
+     */
+    get currentValue () {
+        return Binding.valueOf(this.value)
+    }
+
+    /**
+     * The index of the picked option (-1 if none of the options is picked)
+     * @type {Number}
+     */
+    get selectedIndex () {
+        var value = this.currentValue
+        return this.items.findIndex(item => Object.is(item.value, value))
+    }
+
+    /**
+     * True if the popover is open
+     * @type {Boolean}
+     */
+    get isOpen () {
+        return this.state.get("isOpen")
+    }
+
+    /**
+     * A method to get the options that match the search query
+     * @returns {Object[]}
+     */
+    getVisibleItems () {
+        var query = this.state.get("query").trim().toLowerCase()
+        return query === "" ? this.items : this.items.filter(item => item.label.toLowerCase().includes(query))
+    }
+
+    /**
+     * A method to get the options that match the search query and can be picked
+     * @returns {Object[]}
+     */
+    getEnabledItems () {
+        return this.getVisibleItems().filter(item => !item.disabled)
+    }
+
+    /**
+     * A method to pick the option as the user does
+     * @param {Number}  index   Index of the option
+     * @param {Event}   event
+     */
+    pickOption (index, event) {
+        var item = this.items[index]
+
+        if (item === undefined || item.disabled) {
+            return
+        }
+
+        if (this.value instanceof Binding) {
+            this.value.value = item.value
+        }
+
+        if (typeof this.onChange === "function") {
+            this.onChange(item.value, event)
+        }
+
+        if (this.style === PickerStyle.popover) {
+            this.close({ focus: true })
+        }
+    }
+
+    /**
+     * A method to open the popover. The picked option (or the first one) is highlighted
+     */
+    open () {
+        if (this.isOpen || !this.state.get("active")) {
+            return
+        }
+
+        var selectedIndex = this.selectedIndex
+        var first = this.items.find(item => !item.disabled)
+
+        this.state.set({
+            isOpen: true,
+            query: "",
+            highlightedIndex: selectedIndex >= 0 && !this.items[selectedIndex].disabled ? selectedIndex : (first !== undefined ? first.index : -1)
+        })
+    }
+
+    /**
+     * A method to close the popover
+     * @param {Object}  [options]
+     * @param {Boolean} [options.focus] If true, the button of the picker is focused
+     */
+    close ({ focus = false } = {}) {
+        if (focus && this.mounted) {
+            this.lastVNode.dom.querySelector("button").focus()
+        }
+
+        if (this.isOpen) {
+            this.state.set({ isOpen: false, query: "", highlightedIndex: -1 })
+        }
+    }
+
+    /**
+     * A method to highlight the option that can be picked
+     * @param {Number} step Number of the options to move by from the highlighted one (`Infinity` for the last one and `-Infinity` for the first one)
+     */
+    moveHighlight (step) {
+        var items = this.getEnabledItems()
+        var position = items.findIndex(item => item.index === this.state.get("highlightedIndex"))
+
+        if (items.length === 0) {
+            return
+        }
+
+        if (step === Infinity || step === -Infinity) {
+            position = step > 0 ? items.length - 1 : 0
+        } else if (position < 0) {
+            position = step > 0 ? 0 : items.length - 1
+        } else {
+            position = Math.min(Math.max(position + step, 0), items.length - 1)
+        }
+
+        this.state.set({ highlightedIndex: items[position].index })
+    }
+
+    /**
+     * A method called when the user picks the option of the native select
+     * @param {Event} event
+     */
+    handleChange (event) {
+        var option = event.target.options[event.target.selectedIndex]
+
+        if (option !== undefined && option.hasAttribute("data-index")) {
+            this.pickOption(Number(option.getAttribute("data-index")), event)
+        }
+    }
+
+    /**
+     * A method called when the user clicks inside of the popover picker
+     * @param {MouseEvent} event
+     */
+    handleClick (event) {
+        var option = event.target.closest("[data-index]")
+
+        if (option !== null) {
+            this.pickOption(Number(option.getAttribute("data-index")), event)
+        } else if (event.target.closest("button") !== null) {
+            if (this.isOpen) {
+                this.close()
+            } else {
+                this.open()
+            }
+        }
+    }
+
+    /**
+     * A method called when the user presses the key inside of the popover picker
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown (event) {
+        var isSearch = event.target.tagName === "INPUT"
+
+        if (!this.isOpen) {
+            if ([ "ArrowDown", "ArrowUp", "Enter", " " ].includes(event.key)) {
+                event.preventDefault()
+                this.open()
+            }
+
+            return
+        }
+
+        switch (event.key) {
+            case "ArrowDown":
+                this.moveHighlight(1)
+                break
+            case "ArrowUp":
+                this.moveHighlight(-1)
+                break
+            case "Home":
+            case "End":
+                // The caret of the search field is moved with these keys
+                if (isSearch) {
+                    return
+                }
+
+                this.moveHighlight(event.key === "End" ? Infinity : -Infinity)
+                break
+            case "Enter":
+                this.pickOption(this.state.get("highlightedIndex"), event)
+                break
+            case " ":
+                if (isSearch) {
+                    return
+                }
+
+                this.pickOption(this.state.get("highlightedIndex"), event)
+                break
+            case "Escape":
+                this.close({ focus: true })
+                break
+            case "Tab":
+                this.close()
+                return
+            default:
+                return
+        }
+
+        event.preventDefault()
+    }
+
+    /**
+     * A method called when the user changes the search query
+     * @param {Event} event
+     */
+    handleSearch (event) {
+        var query = event.target.value
+        var current = this.state.get("highlightedIndex")
+
+        this.state.set({ query })
+
+        // The highlighted option is kept if it matches the query
+        if (!this.getEnabledItems().some(item => item.index === current)) {
+            let first = this.getEnabledItems()[0]
+            this.state.set({ highlightedIndex: first !== undefined ? first.index : -1 })
+        }
+    }
+
+    /**
+     * A method called when the focus leaves the element inside of the popover picker. The popover is closed when the focus leaves the picker
+     * @param {FocusEvent} event
+     */
+    handleFocusOut (event) {
+        if (!(event.relatedTarget instanceof Node && this.lastVNode.dom.contains(event.relatedTarget))) {
+            this.close()
+        }
+    }
+
+    /**
+     * A method called when the user presses the mouse button inside of the popover picker
+     * @param {MouseEvent} event
+     */
+    handleMouseDown (event) {
+        // The options can not be focused, so the focus is kept when they are clicked (the popover is not closed by the focus loss)
+        if (event.target.closest("[role=listbox]") !== null) {
+            event.preventDefault()
+        }
+    }
+
+    /**
+     * A method called when the pointer moves over the element inside of the popover picker
+     * @param {MouseEvent} event
+     */
+    handleMouseOver (event) {
+        var option = event.target.closest("[data-index]")
+
+        if (option !== null && option.getAttribute("aria-disabled") !== "true" && Number(option.getAttribute("data-index")) !== this.state.get("highlightedIndex")) {
+            this.state.set({ highlightedIndex: Number(option.getAttribute("data-index")) })
+        }
+    }
+
+    /**
+     * A method to show the state of the picker in the DOM: the picked option of the native select (the attributes are the initial values only),
+     * the focus of the search field and the highlighted option of the popover
+     */
+    syncValue () {
+        var dom = this.lastVNode.dom
+
+        if (this.style === PickerStyle.native) {
+            if (this.currentValue !== undefined) {
+                let option = dom.querySelector(`option[data-index="${this.selectedIndex}"]`)
+                dom.selectedIndex = option !== null ? option.index : (this.placeholder !== "" ? 0 : -1)
+            }
+
+            return
+        }
+
+        if (!this.isOpen) {
+            return
+        }
+
+        var search = dom.querySelector(`input[type="search"]`)
+        var highlighted = dom.querySelector(`[data-index="${this.state.get("highlightedIndex")}"]`)
+
+        if (search !== null && dom.ownerDocument.activeElement !== search) {
+            search.focus()
+        }
+
+        if (highlighted !== null && typeof highlighted.scrollIntoView === "function") {
+            highlighted.scrollIntoView({ block: "nearest" })
+        }
+    }
+
+    handleMount () {
+        super.handleMount()
+        this.syncValue()
+    }
+
+    handleInvalidation () {
+        super.handleInvalidation()
+        this.syncValue()
+    }
+
+    /**
+     * A method to get the body of the native select
+     * @param   {VNode} vNode
+     * @returns {VNode}
+     */
+    getNativeBody (vNode) {
+        var selectedIndex = this.selectedIndex
+
+        var renderOption = item => new VNode({
+            tag: "option",
+            attributes: {
+                value: String(item.value),
+                "data-index": String(item.index),
+                selected: item.index === selectedIndex ? "selected" : undefined,
+                disabled: item.disabled ? "disabled" : undefined
+            },
+            body: [ new VNode({ text: item.label }) ]
+        })
+
+        vNode.tag = "select"
+        vNode.attributes = Object.assign({}, vNode.attributes, { name: this.fieldName })
+        vNode.body = this.groups.reduce((body, group) => {
+            if (group.label === null) {
+                return body.concat(group.options.map(renderOption))
+            }
+
+            return body.concat([ new VNode({ tag: "optgroup", attributes: { label: group.label }, body: group.options.map(renderOption) }) ])
+        }, [])
+
+        if (this.placeholder !== "") {
+            vNode.body.unshift(new VNode({
+                tag: "option",
+                attributes: { value: "", disabled: "disabled", selected: selectedIndex < 0 ? "selected" : undefined },
+                body: [ new VNode({ text: this.placeholder }) ]
+            }))
+        }
+
+        return vNode
+    }
+
+    /**
+     * A method to get the body of the popover picker
+     * @param   {VNode} vNode
+     * @returns {VNode}
+     */
+    getPopoverBody (vNode) {
+        var { id, isOpen } = this
+        var selectedIndex = this.selectedIndex
+        var highlightedIndex = this.state.get("highlightedIndex")
+        var activeDescendant = isOpen && highlightedIndex >= 0 ? `${id}-option-${highlightedIndex}` : undefined
+        var fieldName = this.fieldName
+        var isActive = this.state.get("active")
+
+        // The attributes of the picker are moved to the button and the hidden input
+        vNode.attributes = Object.assign({}, vNode.attributes, { name: undefined, disabled: undefined, "aria-invalid": undefined })
+        vNode.body = []
+
+        if (fieldName !== undefined) {
+            vNode.body.push(new VNode({
+                tag: "input",
+                attributes: { type: "hidden", name: fieldName, value: selectedIndex >= 0 ? String(this.items[selectedIndex].value) : "" }
+            }))
+        }
+
+        vNode.body.push(new VNode({
+            tag: "button",
+            styles: {
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: "7px",
+                width: "100%",
+                padding: "7px",
+                border: "1px solid",
+                borderColor: ThemeColors.separator,
+                borderRadius: "7px",
+                font: "inherit",
+                textAlign: "left",
+                cursor: isActive ? "pointer" : "not-allowed",
+                opacity: isActive ? "1" : "0.5",
+                backgroundColor: ThemeColors.controlBackground,
+                color: selectedIndex >= 0 ? ThemeColors.label : ThemeColors.secondaryLabel
+            },
+            attributes: {
+                type: "button",
+                role: "combobox",
+                "aria-haspopup": "listbox",
+                "aria-expanded": isOpen ? "true" : "false",
+                "aria-controls": `${id}-listbox`,
+                "aria-activedescendant": this.searchable ? undefined : activeDescendant,
+                "aria-invalid": this.attributes["aria-invalid"],
+                disabled: isActive ? undefined : "disabled"
+            },
+            body: [
+                new VNode({ text: selectedIndex >= 0 ? this.items[selectedIndex].label : this.placeholder }),
+                new VNode({ tag: "span", attributes: { "aria-hidden": "true" }, body: [ new VNode({ text: "▾" }) ] })
+            ]
+        }))
+
+        if (isOpen) {
+            vNode.body.push(this.getPopover({ selectedIndex, highlightedIndex, activeDescendant }))
+        }
+
+        return vNode
+    }
+
+    /**
+     * A method to get the popover with the search field and the list of the options
+     * @param   {Object} options
+     * @returns {VNode}
+     */
+    getPopover ({ selectedIndex, highlightedIndex, activeDescendant }) {
+        var { id } = this
+        var visibleItems = this.getVisibleItems()
+        var body = []
+
+        var renderOption = item => new VNode({
+            tag: "li",
+            styles: {
+                padding: "4px 7px",
+                cursor: item.disabled ? "not-allowed" : "pointer",
+                opacity: item.disabled ? "0.5" : "1",
+                fontWeight: item.index === selectedIndex ? "600" : "inherit",
+                backgroundColor: item.index === highlightedIndex ? ThemeColors.controlHighlight : "transparent"
+            },
+            attributes: {
+                id: `${id}-option-${item.index}`,
+                role: "option",
+                "data-index": String(item.index),
+                "aria-selected": item.index === selectedIndex ? "true" : "false",
+                "aria-disabled": item.disabled ? "true" : undefined
+            },
+            body: [ new VNode({ text: item.label }) ]
+        })
+
+        if (this.searchable) {
+            body.push(new VNode({
+                tag: "input",
+                styles: { display: "block", boxSizing: "border-box", width: "calc(100% - 14px)", margin: "0 7px 4px", padding: "4px 7px", font: "inherit" },
+                attributes: {
+                    type: "search",
+                    role: "searchbox",
+                    placeholder: this.searchPlaceholder,
+                    value: this.state.get("query"),
+                    autocomplete: "off",
+                    "aria-controls": `${id}-listbox`,
+                    "aria-activedescendant": activeDescendant
+                }
+            }))
+        }
+
+        var groups = this.groups.map(group => ({ label: group.label, options: group.options.filter(item => visibleItems.includes(item)) }))
+            .filter(group => group.options.length > 0)
+
+        body.push(new VNode({
+            tag: "ul",
+            styles: { listStyle: "none", margin: 0, padding: 0 },
+            attributes: { id: `${id}-listbox`, role: "listbox" },
+            body: groups.reduce((result, group) => {
+                if (group.label === null) {
+                    return result.concat(group.options.map(renderOption))
+                }
+
+                return result.concat([ new VNode({
+                    tag: "li",
+                    attributes: { role: "group", "aria-label": group.label },
+                    body: [
+                        new VNode({
+                            tag: "div",
+                            styles: { padding: "4px 7px", fontSize: "0.85em", color: ThemeColors.secondaryLabel },
+                            attributes: { role: "presentation" },
+                            body: [ new VNode({ text: group.label }) ]
+                        }),
+                        new VNode({ tag: "ul", styles: { listStyle: "none", margin: 0, padding: 0 }, attributes: { role: "none" }, body: group.options.map(renderOption) })
+                    ]
+                }) ])
+            }, [])
+        }))
+
+        if (visibleItems.length === 0) {
+            body.push(new VNode({ tag: "div", styles: { padding: "4px 7px", color: ThemeColors.secondaryLabel }, body: [ new VNode({ text: this.emptyText }) ] }))
+        }
+
+        return new VNode({
+            tag: "div",
+            styles: {
+                position: "absolute",
+                top: "calc(100% + 4px)",
+                left: 0,
+                zIndex: 1,
+                minWidth: "100%",
+                maxHeight: "240px",
+                overflowY: "auto",
+                boxSizing: "border-box",
+                padding: "4px 0",
+                border: "1px solid",
+                borderColor: ThemeColors.separator,
+                borderRadius: "7px",
+                backgroundColor: ThemeColors.background,
+                color: ThemeColors.label
+            },
+            body
+        })
+    }
+
+    getBody () {
+        var vNode = super.getBody()
+        return this.style === PickerStyle.native ? this.getNativeBody(vNode) : this.getPopoverBody(vNode)
+    }
+}
@@ -0,0 +1,265 @@
+//
+// RadioGroup.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { View } from "../View"
+import { Control } from "../Generic/Control"
+import { VNode } from "../../VirtualDOM/VNode"
+import { ThemeColors } from "../../Styles/Theme"
+import { Binding } from "../../State/Binding"
+
+var lastGroup = 0
+
+/**
+ * A function to convert the item of the options to the option (`{ value, label, disabled }`)
+ * @param   {Object|String|Number} option
+ * @returns {Object}
+ */
+function normalizeOption(option) {
+    if (option !== null && typeof option === "object") {
+        return { value: option.value, label: option.label !== undefined ? option.label : String(option.value), disabled: option.disabled === true }
+    }
+
+    return { value: option, label: String(option), disabled: false }
+}
+
+/**
+ * A view that represents the option of the radio group: the radio button with the label (the view of the label is rendered as the child of this view)
+ * @class
+ * @extends View
+ */
+class RadioOption extends View {
+    /**
+     * @param {Object}          options
+     * @param {Object}          options.option      Option of the group (`{ value, label, disabled }`)
+     * @param {String}          options.name        Name of the radio button
+     * @param {Boolean}         options.isChecked
+     * @param {Boolean}         options.isDisabled
+     */
+    constructor (options) {
+        super(options)
+    }
+
+    getBody () {
+        var { option, name, isChecked, isDisabled } = this.options
+
+        return new VNode({
+            tag: "label",
+            styles: { display: "flex", alignItems: "center", gap: "7px", cursor: option.disabled ? "not-allowed" : "pointer" },
+            body: [
+                new VNode({
+                    tag: "input",
+                    styles: { margin: 0, accentColor: ThemeColors.primary },
+                    attributes: {
+                        type: "radio",
+                        name,
+                        value: String(option.value),
+                        checked: isChecked ? "checked" : undefined,
+                        disabled: isDisabled ? "disabled" : undefined
+                    }
+                }),
+                typeof option.label === "string" ? new VNode({ text: option.label }) : option.label
+            ]
+        }, this)
+    }
+}
+
+/**
+ * A view that represents the group of the radio buttons (the native `<input type="radio">` inside of the `<fieldset>`).
+ * The arrow keys select the previous or the next option that is not disabled, Home and End select the first and the last one.
+ * If the value is specified, the group shows it after each rendering. With the binding the value is changed when the user selects the option
+ * @class
+ * @extends Control
+ * @example
+ * new RadioGroup({
+ *     name: "plan",
+ *     options: [
+ *         { value: "free", label: "Free" },
+ *         { value: "pro", label: "Pro" },
+ *         { value: "enterprise", label: "Enterprise", disabled: true }
+ *     ],
+ *     value: this.bind("plan")
+ * })
+ */
+export class RadioGroup extends Control {
+    /**
+     * @param {Object}      options
+     * @param {Array}       options.options     Options (`{ value, label, disabled }`, where `label` is the string or the view) or their values
+     * @param {Binding|*}   [options.value]     Selected value or the binding to it
+     * @param {Function}    [options.onChange]  Function that receives the selected value and the event when the user selects the option
+     * @param {String}      [options.name]      Name of the radio buttons (the `name` attribute of the group is used by default). Specify it when the group is rendered on the server
+     */
+    constructor ({ options, value, onChange = null, name = null }) {
+        super()
+        this.items = options.map(normalizeOption)
+        this.value = value
+        this.onChange = onChange
+        this.name = name
+        this.styles.display = "flex"
+        this.styles.flexDirection = "column"
+        this.styles.border = "none"
+        this.setOffset({ all: 0 })
+            .setPadding({ all: 0 })
+            .setForeground({ color: ThemeColors.label })
+            .setAttributes({ role: "radiogroup" })
+            .addHandlerFor("change", event => this.handleChange(event))
+            .addHandlerFor("keydown", event => this.handleKeyDown(event))
+    }
+
+    getInitialState () {
+        // The generated name is kept by the instances that replace this one
+        return Object.assign(super.getInitialState(), { generatedName: `radio-group-${++lastGroup}` })
+    }
+
+    /**
+     * The name of the radio buttons
+     * @type {String}
+     */
+    get groupName () {
+        return this.name || this.attributes.name || this.state.get("generatedName")
+    }
+
+    /**
+     * The selected value (undefined if the group is not controlled)
+     * @type {*}
+     */
+    get currentValue () {
+        return Binding.valueOf(this.value)
+    }
+
+    /**
+     * The index of the selected option (-1 if none of the options is selected)
+     * @type {Number}
+     */
+    get selectedIndex () {
+        var value = this.currentValue
+        return this.items.findIndex(option => Object.is(option.value, value))
+    }
+
+    /**
+     * A method to get the radio buttons of the group DOM
+     * @returns {HTMLInputElement[]}
+     */
+    getInputs () {
+        return Array.from(this.lastVNode.dom.querySelectorAll(`input[type="radio"]`))
+    }
+
+    /**
+     * A method to select the option as the user does
+     * @param {Number}  index   Index of the option
+     * @param {Event}   event
+     */
+    selectOption (index, event) {
+        var { value } = this.items[index]
+
+        if (this.value instanceof Binding) {
+            this.value.value = value
+        }
+
+        if (typeof this.onChange === "function") {
+            this.onChange(value, event)
+        }
+    }
+
+    /**
+     * A method called when the user selects the radio button
+     * @param {Event} event
+     */
+    handleChange (event) {
+        var index = this.getInputs().indexOf(event.target)
+
+        if (index >= 0 && event.target.checked) {
+            this.selectOption(index, event)
+        }
+    }
+
+    /**
+     * A method called when the user presses the key inside of the group
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown (event) {
+        var inputs = this.getInputs()
+        var current = inputs.indexOf(event.target)
+        var enabled = inputs.map((input, index) => index).filter(index => !inputs[index].disabled)
+        var position = enabled.indexOf(current)
+        var next
+
+        if (current < 0 || enabled.length === 0) {
+            return
+        }
+
+        switch (event.key) {
+            case "ArrowDown":
+            case "ArrowRight":
+                next = enabled[(position + 1) % enabled.length]
+                break
+            case "ArrowUp":
+            case "ArrowLeft":
+                next = enabled[(position - 1 + enabled.length) % enabled.length]
+                break
+            case "Home":
+                next = enabled[0]
+                break
+            case "End":
+                next = enabled[enabled.length - 1]
+                break
+            default:
+                return
+        }
+
+        // The browsers move the selection as well, so it is moved only once here
+        event.preventDefault()
+        inputs[next].checked = true
+        inputs[next].focus()
+        this.selectOption(next, event)
+    }
+
+    /**
+     * A method to show the selected value in the group DOM (the attributes are the initial values only)
+     */
+    syncValue () {
+        if (this.currentValue === undefined) {
+            return
+        }
+
+        var selectedIndex = this.selectedIndex
+
+        this.getInputs().forEach((input, index) => {
+            input.checked = index === selectedIndex
+        })
+    }
+
+    handleMount () {
+        super.handleMount()
+        this.syncValue()
+    }
+
+    handleInvalidation () {
+        super.handleInvalidation()
+        this.syncValue()
+    }
+
+    getBody () {
+        var vNode = super.getBody()
+        var name = this.groupName
+        var selectedIndex = this.selectedIndex
+        var isActive = this.state.get("active")
+
+        vNode.tag = "fieldset"
+        vNode.attributes = Object.assign({}, vNode.attributes, { name: undefined })
+        vNode.body = this.items.map((option, index) => new RadioOption({
+            option,
+            name,
+            isChecked: index === selectedIndex,
+            isDisabled: option.disabled || !isActive
+        }))
+
+        return vNode
+    }
+}
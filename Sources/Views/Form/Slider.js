@@ -0,0 +1,106 @@
+//
+// Slider.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Control } from "../Generic/Control"
+import { ThemeColors } from "../../Styles/Theme"
+import { Binding } from "../../State/Binding"
+
+/**
+ * A view that represents the range slider (the native `<input type="range">`, so it is changed with the arrow keys, Home, End, Page Up and Page Down).
+ * If the value is specified, the slider shows it after each rendering. With the binding the value is changed while the user moves the slider
+ * @class
+ * @extends Control
+ * @example
+ * new Slider({ min: 0, max: 100, step: 5, value: this.bind("volume") })
+ */
+export class Slider extends Control {
+    /**
+     * @param {Object}          [options]
+     * @param {Number}          [options.min]       Minimal value
+     * @param {Number}          [options.max]       Maximal value
+     * @param {Number}          [options.step]      Step between the values
+     * @param {Binding|Number}  [options.value]     Value of the slider or the binding to it
+     * @param {Function}        [options.onChange]  Function that receives the new value and the event when the user moves the slider
+     */
+    constructor ({ min = 0, max = 100, step = 1, value, onChange = null } = {}) {
+        super()
+        this.min = min
+        this.max = max
+        this.step = step
+        this.value = value
+        this.onChange = onChange
+        this.styles.cursor = "pointer"
+        this.styles.accentColor = ThemeColors.primary
+        this.setOffset({ all: 0 })
+            .addHandlerFor("input", event => this.handleInput(event))
+    }
+
+    /**
+     * The value that is shown by the slider (undefined if the slider is not controlled)
+     * @type {Number|undefined}
+     */
+    get currentValue () {
+        return Binding.valueOf(this.value)
+    }
+
+    /**
+     * A method called when the user moves the slider
+     * @param {Event} event
+     */
+    handleInput (event) {
+        var value = Number(event.target.value)
+
+        if (this.value instanceof Binding) {
+            this.value.value = value
+        }
+
+        if (typeof this.onChange === "function") {
+            this.onChange(value, event)
+        }
+    }
+
+    /**
+     * A method to show the value in the slider DOM (the attribute is the initial value only)
+     */
+    syncValue () {
+        var dom = this.lastVNode.dom
+        var value = this.currentValue
+
+        if (value !== undefined && value !== null && dom.value !== String(value)) {
+            dom.value = String(value)
+        }
+    }
+
+    handleMount () {
+        super.handleMount()
+        this.syncValue()
+    }
+
+    handleInvalidation () {
+        super.handleInvalidation()
+        this.syncValue()
+    }
+
+    getBody () {
+        var vNode = super.getBody()
+        var value = this.currentValue
+
+        vNode.tag = "input"
+        vNode.attributes = Object.assign({}, vNode.attributes, {
+            type: "range",
+            min: String(this.min),
+            max: String(this.max),
+            step: String(this.step),
+            value: value !== undefined && value !== null ? String(value) : undefined
+        })
+
+        return vNode
+    }
+}
@@ -0,0 +1,41 @@
+//
+// SubmitButton.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Button } from "./Button"
+
+/**
+ * A button that submits the form that contains it. It is disabled while the form is invalid or submitting
+ * @class
+ * @extends Button
+ * @example
+ * new SubmitButton(new Text("Sign up"))
+ */
+export class SubmitButton extends Button {
+    /**
+     * @param {View} label The label inside the button
+     */
+    constructor (label) {
+        super(label)
+    }
+
+    getBody () {
+        var vNode = super.getBody()
+        var form = this.getEnvironment("form", null)
+
+        // The attributes are copied as they are shared with the view
+        vNode.attributes = Object.assign({}, vNode.attributes, { type: "submit" })
+
+        if (form !== null && this.select(form.store, () => !form.isValid || form.isSubmitting)) {
+            vNode.attributes.disabled = "disabled"
+        }
+
+        return vNode
+    }
+}
@@ -14,31 +14,70 @@ import { Positioning } from "../../Values/Positioning"
 import { percents } from "../../Values/Length"
 import { VNode } from "../../VirtualDOM/VNode"
 import { Control } from "../Generic/Control"
-import { Colors } from "../../Values/Color"
+import { ThemeColors, ThemeFonts } from "../../Styles/Theme"
 import { ZStack } from "../Layouts/ZStack"
-import { Fonts } from "../../Values/Font"
 import { Text } from "../Generic/Text"
+import { Enum } from "../../Values/Enum"
+import { Binding } from "../../State/Binding"
 
 /**
- * A view that represents the textbox
+ * @enum
+ * @property {Symbol} text      Text of any kind
+ * @property {Symbol} password  Text that is hidden
+ * @property {Symbol} email     Email address
+ * @property {Symbol} number    Number (the value is the number or null if the textbox is empty)
+ * @property {Symbol} search    Search query
+ */
+export const TextBoxType = new Enum("text", "password", "email", "number", "search")
+
+/**
+ * A function to convert the value of the textbox to the string that is shown
+ * @param   {*}         value
+ * @returns {String}
+ */
+function valueToString(value) {
+    return value === null || value === undefined ? "" : String(value)
+}
+
+/**
+ * A view that represents the textbox.
+ * If the value is specified, the textbox shows it after each rendering (the caret and the selection are kept).
+ * With the binding the value is changed when the user types
+ * @example
+ * new TextBox({
+ *     placeholder: "Email",
+ *     type: TextBoxType.email,
+ *     value: this.bind("email"),
+ *     onSubmit: email => this.subscribe(email)
+ * })
  */
 export class TextBox extends Control {
     /**
-     * @param {Object}  options
-     * @param {String}  [options.placeholder] Text that is shown inside the textbox when it is empty
-     * @param {Boolean} [options.multiline]   Makes textbox one-lined or multilined
+     * @param {Object}          [options]
+     * @param {String}          [options.placeholder]   Text that is shown inside the textbox when it is empty
+     * @param {Boolean}         [options.multiline]     Makes textbox one-lined or multilined
+     * @param {Symbol}          [options.type]          Item of the TextBoxType enum (the multiline textbox is always the text one)
+     * @param {Binding|*}       [options.value]         Value of the textbox or the binding to it
+     * @param {Function}        [options.onChange]      Function that receives the new value and the event when the user changes the text
+     * @param {Function}        [options.onSubmit]      Function that receives the value and the event when the user presses Enter (Ctrl/Cmd + Enter in the multiline textbox)
      */
-    constructor ({ placeholder = "", multiline = false }) {
+    constructor ({ placeholder = "", multiline = false, type = TextBoxType.text, value, onChange = null, onSubmit = null } = {}) {
         super()
         this.placeholder = placeholder
         this.multiline = multiline
-        this.setOutline({ all: 1, color: Colors.lightGray, style: OutlineStyle.solid, radius: 7 })
+        this.type = TextBoxType.contains(type) && !multiline ? type : TextBoxType.text
+        this.value = value
+        this.onChange = onChange
+        this.onSubmit = onSubmit
+        this.setOutline({ all: 1, color: ThemeColors.separator, style: OutlineStyle.solid, radius: 7 })
             .setPadding({ all: 7 })
-            .setFont(Fonts.inherit)
-            .setBackground({ color: Colors.white })
-            .setForeground({ color: Colors.black })
+            .setFont(ThemeFonts.body)
+            .setBackground({ color: ThemeColors.controlBackground })
+            .setForeground({ color: ThemeColors.label })
             .applyCSS({ resize: "none", outline: "none" })
             .setAttributes({ placeholder: this.placeholder })
+            .addHandlerFor("input", event => this.handleInput(event))
+            .addHandlerFor("keydown", event => this.handleKeyDown(event))
     }
 
     /**
@@ -53,9 +92,111 @@ export class TextBox extends Control {
         return this
     }
 
+    /**
+     * The value that is shown in the textbox (undefined if the textbox is not controlled)
+     * @type {*}
+     */
+    get currentValue () {
+        return Binding.valueOf(this.value)
+    }
+
+    /**
+     * A method to get the value of the textbox DOM (the number for the number textbox)
+     * @param   {HTMLInputElement|HTMLTextAreaElement} dom
+     * @returns {*}
+     */
+    readValue (dom) {
+        if (this.type === TextBoxType.number) {
+            return dom.value === "" || isNaN(Number(dom.value)) ? null : Number(dom.value)
+        }
+
+        return dom.value
+    }
+
+    /**
+     * A method called when the user changes the text
+     * @param {Event} event
+     */
+    handleInput (event) {
+        var value = this.readValue(event.target)
+
+        if (this.value instanceof Binding) {
+            this.value.value = value
+        }
+
+        if (typeof this.onChange === "function") {
+            this.onChange(value, event)
+        }
+    }
+
+    /**
+     * A method called when the user presses the key inside of the textbox
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown (event) {
+        if (event.key !== "Enter" || event.isComposing || typeof this.onSubmit !== "function") {
+            return
+        }
+
+        if (this.multiline && !(event.ctrlKey || event.metaKey)) {
+            return
+        }
+
+        event.preventDefault()
+        this.onSubmit(this.readValue(event.target), event)
+    }
+
+    /**
+     * A method to show the value in the textbox DOM. The caret and the selection are kept (as far as the new value is long enough)
+     */
+    syncValue () {
+        var dom = this.lastVNode.dom
+        var value = this.currentValue
+
+        if (value === undefined || dom.value === valueToString(value)) {
+            return
+        }
+
+        var isFocused = dom.ownerDocument.activeElement === dom
+        var { selectionStart, selectionEnd, selectionDirection } = dom
+
+        dom.value = valueToString(value)
+
+        // The selection of the number and email inputs can not be changed
+        if (isFocused && selectionStart !== null && typeof dom.setSelectionRange === "function") {
+            try {
+                dom.setSelectionRange(Math.min(selectionStart, dom.value.length), Math.min(selectionEnd, dom.value.length), selectionDirection || "none")
+            } catch (error) {}
+        }
+    }
+
+    handleMount () {
+        super.handleMount()
+        this.syncValue()
+    }
+
+    handleInvalidation () {
+        super.handleInvalidation()
+        this.syncValue()
+    }
+
     getBody () {
         var result = super.getBody()
+        var value = this.currentValue
+
         result.tag = (this.multiline ? "textarea" : "input")
+
+        if (this.multiline) {
+            // The value of the textarea is its text (it is rendered on the server as well)
+            result.body = value !== undefined ? [ new VNode({ text: valueToString(value) }) ] : []
+        } else {
+            // The attributes are copied as they are shared with the view (the Reconciler compares them with the previous ones)
+            result.attributes = Object.assign({}, result.attributes, {
+                type: TextBoxType.getIdentifier(this.type),
+                value: value !== undefined ? valueToString(value) : undefined
+            })
+        }
+
         return result
     }
 }
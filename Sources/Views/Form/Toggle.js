@@ -0,0 +1,65 @@
+//
+// Toggle.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Checkbox } from "./Checkbox"
+import { ThemeColors } from "../../Styles/Theme"
+import { InteractionState } from "../../Values/InteractionState"
+
+/**
+ * A view that represents the on/off switch. It is the checkbox with the `switch` role, so it is submitted with the native form as well.
+ * It is switched with Space (as the checkbox) and with Enter
+ * @class
+ * @extends Checkbox
+ * @example
+ * new Toggle({ value: this.bind("notifications") })
+ */
+export class Toggle extends Checkbox {
+    /**
+     * @param {Object}          [options]
+     * @param {Binding|Boolean} [options.value]     Value of the toggle or the binding to it
+     * @param {Function}        [options.onChange]  Function that receives the new value and the event when the user switches the toggle
+     */
+    constructor (options) {
+        super(options)
+        this.setSize({ width: 34, height: 20 })
+            .setBackground({ color: ThemeColors.separator })
+            .setStylesFor(InteractionState.checked, style => style.setBackground({ color: ThemeColors.primary }).applyCSS({ backgroundPosition: "14px 0" }))
+            .addHandlerFor("keydown", event => this.handleKeyDown(event))
+
+        // The knob is the gradient that is moved to the right when the toggle is checked
+        this.applyCSS({
+            appearance: "none",
+            WebkitAppearance: "none",
+            borderRadius: "10px",
+            backgroundImage: "radial-gradient(circle at 10px 50%, #fff 7px, transparent 8px)",
+            backgroundRepeat: "no-repeat",
+            backgroundPosition: "0 0",
+            transition: "background-color 0.2s, background-position 0.2s"
+        })
+    }
+
+    /**
+     * A method called when the user presses the key while the toggle is focused
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown (event) {
+        if (event.key === "Enter" && !event.target.disabled) {
+            event.preventDefault()
+            event.target.click()
+        }
+    }
+
+    getBody () {
+        var vNode = super.getBody()
+        vNode.attributes.role = "switch"
+
+        return vNode
+    }
+}
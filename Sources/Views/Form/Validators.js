@@ -0,0 +1,74 @@
+//
+// Validators.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === "" || value === false || (Array.isArray(value) && value.length === 0)
+}
+
+/**
+ * The validators that are often used with the forms. A validator receives the value of the field and the values of the form
+ * and returns (or resolves with) the error message or null if the value is valid
+ * @example
+ * new Form({
+ *     validators: {
+ *         email: [ Validators.required(), Validators.email() ],
+ *         password: Validators.minLength(8, "The password is too short")
+ *     }
+ * })
+ */
+export const Validators = {
+    /**
+     * A function to create the validator that checks that the value is not empty
+     * @param   {String}    [message]
+     * @returns {Function}
+     */
+    required (message = "This field is required") {
+        return value => isEmpty(value) ? message : null
+    },
+
+    /**
+     * A function to create the validator that checks the email address (empty values are valid)
+     * @param   {String}    [message]
+     * @returns {Function}
+     */
+    email (message = "Enter a valid email address") {
+        return value => isEmpty(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value)) ? null : message
+    },
+
+    /**
+     * A function to create the validator that checks the minimal length of the value (empty values are valid)
+     * @param   {Number}    length
+     * @param   {String}    [message]
+     * @returns {Function}
+     */
+    minLength (length, message = `Enter at least ${length} characters`) {
+        return value => isEmpty(value) || String(value).length >= length ? null : message
+    },
+
+    /**
+     * A function to create the validator that checks the maximal length of the value
+     * @param   {Number}    length
+     * @param   {String}    [message]
+     * @returns {Function}
+     */
+    maxLength (length, message = `Enter at most ${length} characters`) {
+        return value => isEmpty(value) || String(value).length <= length ? null : message
+    },
+
+    /**
+     * A function to create the validator that checks the value with the regular expression (empty values are valid)
+     * @param   {RegExp}    regExp
+     * @param   {String}    [message]
+     * @returns {Function}
+     */
+    pattern (regExp, message = "The value has the wrong format") {
+        return value => isEmpty(value) || regExp.test(String(value)) ? null : message
+    }
+}
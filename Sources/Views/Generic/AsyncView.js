@@ -0,0 +1,125 @@
+//
+// AsyncView.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { View } from "../View"
+import { Text } from "./Text"
+import { DataCache, LoadingStatus } from "../../State/DataCache"
+
+/**
+ * A view that loads the data and shows the placeholder while it is pending, the content when it is loaded and the failure view when the loader fails.
+ * The data with the key is kept in the cache (the `dataCache` of the environment), so it is loaded once for all the views with that key.
+ * On the server only the data with the key is loaded (with `preload`, `toStringAsync` or `toStream`, the last two create the cache for each rendering if there is no cache in the environment)
+ * @class
+ * @extends View
+ * @example
+ * new AsyncView({
+ *     dataKey: `user-${id}`,
+ *     load: () => fetch(`/api/users/${id}`).then(response => response.json()),
+ *     content: user => new Text(user.name),
+ *     placeholder: new Text("Loading..."),
+ *     failure: (error, retry) => new Button(new Text("Try again")).addHandlerFor("click", retry)
+ * })
+ */
+export class AsyncView extends View {
+    /**
+     * @param {Object}          options
+     * @param {Function}        options.load            Function that returns the promise of the data
+     * @param {Function}        options.content         Function that receives the loaded data and returns the view to show
+     * @param {String}          [options.dataKey]       Key of the data in the cache. Without it (or without the cache), the data is loaded for each instance (its state is taken over by the instance that replaces it)
+     * @param {View}            [options.placeholder]   View to show while the data is pending (nothing by default)
+     * @param {View|Function}   [options.failure]       View to show when the loader fails or function that receives the error and the function to load the data again and returns that view
+     * @param {DataCache}       [options.cache]         Cache of the data with the key (the `dataCache` of the environment by default)
+     */
+    constructor ({ load, content, dataKey = null, placeholder = null, failure = () => new Text("Failed to load the data"), cache = null }) {
+        super()
+        this.load = load
+        this.content = content
+        this.dataKey = dataKey
+        this.cache = cache
+        this.placeholder = placeholder
+        this.failure = failure
+        this.styles.display = "contents"
+    }
+
+    getInitialState () {
+        return { entry: null, entryKey: null }
+    }
+
+    /**
+     * A method to get the entry of the data (see `DataCache.createEntry`). The loading is started if it is not started yet
+     * @param   {String}     [side] Side of the rendering (`"server"`, `"client"` etc.)
+     * @returns {State|null} Null if the data is not loaded on this side
+     */
+    getEntry (side = "client") {
+        var cache = this.getCache()
+        var entry = this.state.get("entry")
+
+        if (this.dataKey !== null && cache !== null) {
+            // The failed entry is removed from the cache, so the other views load the data again, but this view shows the failure until it is reloaded
+            if (entry === null || entry.current.status !== LoadingStatus.rejected || this.state.get("entryKey") !== this.dataKey) {
+                entry = cache.load(this.dataKey, this.load)
+            }
+        } else if (side === "server") {
+            return null
+        } else if (entry === null) {
+            entry = DataCache.createEntry(this.load)
+        }
+
+        if (entry !== this.state.get("entry")) {
+            // The state is changed without the invalidation as the view is being rendered
+            this.state._currentState = Object.assign({}, this.state._currentState, { entry, entryKey: this.dataKey })
+        }
+
+        return entry
+    }
+
+    /**
+     * A method to get the cache of the data with the key
+     * @returns {DataCache|null} Null if there is no cache
+     */
+    getCache () {
+        return this.cache !== null ? this.cache : this.getEnvironment("dataCache", null)
+    }
+
+    getBody (side = "client") {
+        var vNode = super.getBody(side)
+        var entry = this.getEntry(side)
+        var { status, value, error } = entry !== null ? this.select(entry) : { status: LoadingStatus.pending }
+        var body = this.placeholder
+
+        if (status === LoadingStatus.pending) {
+            // The views without the key are created again by each rendering, so only the data with the key can be waited for
+            if (this.dataKey !== null && this.getCache() !== null) {
+                View.waitFor(entry.promise)
+            }
+        } else if (status === LoadingStatus.fulfilled) {
+            body = this.content(value)
+        } else if (status === LoadingStatus.rejected) {
+            body = typeof this.failure === "function" ? this.failure(error, () => this.reload()) : this.failure
+        }
+
+        vNode.body = body !== null ? [ body ] : []
+
+        return vNode
+    }
+
+    /**
+     * A method to load the data again
+     */
+    reload () {
+        var cache = this.getCache()
+
+        if (this.dataKey !== null && cache !== null && cache.entries.get(this.dataKey) === this.state.get("entry")) {
+            cache.delete(this.dataKey)
+        }
+
+        this.state.set({ entry: null })
+    }
+}
@@ -9,6 +9,7 @@
 // 
 
 import { View } from "../View"
+import { InteractionState } from "../../Values/InteractionState"
 
 /**
  * A class that is used to implement controls
@@ -16,6 +17,11 @@ import { View } from "../View"
  * @extends View
  */
 export class Control extends View {
+    constructor (...args) {
+        super(...args)
+        this.setStylesFor(InteractionState.disabled, style => style.applyCSS({ opacity: "0.5", cursor: "not-allowed" }))
+    }
+
     getInitialState() {
         return { active: true }
     }
@@ -24,7 +30,7 @@ export class Control extends View {
      * A method to deactivate the control
      */
     disable() {
-        this.state.set("active", false)
+        this.state.set({ active: false })
         return this
     }
 
@@ -32,7 +38,7 @@ export class Control extends View {
      * A method to activate the control
      */
     activate() {
-        this.state.set("active", true)
+        this.state.set({ active: true })
         return this
     }
 
@@ -42,7 +48,7 @@ export class Control extends View {
      */
     setActiveTo(value) {
         if (typeof value === "boolean" || value instanceof Boolean) {
-            this.state.set("active", Boolean(value))
+            this.state.set({ active: Boolean(value) })
         }
 
         return this
@@ -51,7 +57,8 @@ export class Control extends View {
     getBody () {
         var vNode = super.getBody()
         if (!this.state.get("active")) {
-            vNode.attributes.disabled = "disabled"
+            // The attributes are copied as they are shared with the view (the control can be activated again)
+            vNode.attributes = Object.assign({}, vNode.attributes, { disabled: "disabled" })
         }
         return vNode
     }
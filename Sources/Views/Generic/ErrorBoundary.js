@@ -0,0 +1,108 @@
+//
+// ErrorBoundary.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { View } from "../View"
+import { Text } from "./Text"
+import { ApplicationManager } from "../../ApplicationManager"
+
+/**
+ * A view that catches the errors thrown while its content is rendered, mounted or handles the events,
+ * shows the fallback view instead of the content and reports the error with `ApplicationManager.reportError`
+ * @class
+ * @extends View
+ * @example
+ * new ErrorBoundary(new Chart(data), {
+ *     fallback: (error, reset) => new Button(new Text("Try again")).addHandlerFor("click", reset)
+ * })
+ */
+export class ErrorBoundary extends View {
+    /**
+     * @param {View}            content             View to show when there is no error
+     * @param {Object}          [options]
+     * @param {View|Function}   [options.fallback]  View to show instead of the content or function that receives the error and the function to show the content again and returns that view
+     */
+    constructor (content, { fallback = () => new Text("Something went wrong") } = {}) {
+        super()
+        this.content = content
+        this.fallback = fallback
+        this.renderedError = null
+        this.styles.display = "contents"
+    }
+
+    getInitialState () {
+        return { error: null }
+    }
+
+    getBody () {
+        var vNode = super.getBody()
+        this.renderedError = this.state.get("error")
+        vNode.body = [ this.renderedError !== null ? this.getFallback() : this.content ]
+
+        return vNode
+    }
+
+    handleMount () {
+        super.handleMount()
+
+        // The content is mounted before the boundary, so the error thrown while it is mounted is shown after that
+        if (this.state.get("error") !== this.renderedError) {
+            this.invalidate()
+        }
+    }
+
+    /**
+     * A method to get the fallback view for the current error
+     * @returns {View}
+     */
+    getFallback () {
+        return typeof this.fallback === "function" ? this.fallback(this.state.get("error"), () => this.reset()) : this.fallback
+    }
+
+    /**
+     * A method called when the rendering of the content fails. The state is changed without the invalidation as the boundary is being rendered
+     * @param   {*}         error
+     * @param   {String[]}  path    Names of the views from the boundary to the view where the error is thrown
+     * @returns {View|null} Fallback view (null if the boundary already shows the fallback, so the error goes to the parent boundary)
+     */
+    catchError (error, path) {
+        if (this.state.get("error") !== null) {
+            return null
+        }
+
+        this.state._currentState = Object.assign({}, this.state._currentState, { error })
+        ApplicationManager.reportError(error, { path, boundary: this })
+
+        return this.getFallback()
+    }
+
+    /**
+     * A method to show the fallback view for the error thrown outside of the rendering (in the event handler etc.)
+     * @param   {*}         error
+     * @param   {String[]}  path    Names of the views from the boundary to the view where the error is thrown
+     * @returns {Boolean}   False if the boundary already shows the fallback
+     */
+    showError (error, path) {
+        if (this.state.get("error") !== null) {
+            return false
+        }
+
+        ApplicationManager.reportError(error, { path, boundary: this })
+        this.state.set({ error })
+
+        return true
+    }
+
+    /**
+     * A method to show the content again
+     */
+    reset () {
+        this.state.set({ error: null })
+    }
+}
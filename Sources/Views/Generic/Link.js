@@ -12,22 +12,50 @@ import { View } from "../View"
 import { VNode } from "../../VirtualDOM/VNode"
 
 /**
- * A view that represents the link
+ * A view that represents the link.
+ * Inside of the router with the history, the clicks on the internal links are handled by the history instead of reloading the page
  * @class
  * @extends View
  */
 export class Link extends View {
     /**
      * @param {Object}      options
-     * @param {String}      options.url      The URL of the link
-     * @param {View|VNode}  options.label    The label of the link
+     * @param {String}      options.url         The URL of the link
+     * @param {View|VNode}  options.label       The label of the link
+     * @param {Boolean}     [options.replace]   If true, the current entry of the history is replaced when the link is clicked
      */
-    constructor ({ url, label }) {
+    constructor ({ url, label, replace = false }) {
         super()
         this.label = label
+        this.replace = replace
         this.attributes.href = url || "javascript:void(0)"
         this.styles.textDecoration = "none"
         this.styles.display = "inline-block"
+        this.addHandlerFor("click", event => this.handleClick(event))
+    }
+
+    /**
+     * A method to navigate with the history of the router if the link is internal and the click is not modified (with the keys etc.)
+     * @param {MouseEvent} event
+     */
+    handleClick (event) {
+        var history = this.getEnvironment("history", null)
+        var target = this.attributes.target
+
+        if (history === null || event.defaultPrevented || event.button !== 0 || event.metaKey || event.altKey || event.ctrlKey || event.shiftKey) {
+            return
+        }
+
+        if ((target && target !== "_self") || "download" in this.attributes) {
+            return
+        }
+
+        var path = history.toInternalPath(this.attributes.href)
+
+        if (path !== null) {
+            event.preventDefault()
+            history.navigate(path, { replace: this.replace })
+        }
     }
 
     getBody () {
@@ -0,0 +1,346 @@
+//
+// History.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Worker, Priority } from "../../Worker"
+
+var lastKey = 0
+
+function createKey() {
+    return String(++lastKey) + "-" + Math.random().toString(36).slice(2, 8)
+}
+
+/**
+ * A base class for the navigation histories that are used by the router
+ * @class
+ */
+export class NavigationHistory {
+    constructor () {
+        this._listeners = []
+
+        /**
+         * The last redirect made by the router (`from`, `to` and `status`). Use it on the server to respond with the redirect
+         * @type {Object|null}
+         */
+        this.lastRedirect = null
+
+        /**
+         * The last change of the location: `action`, the location it was changed `from` and the `delta` of the index of the entry (null if it is not known).
+         * It is a new object for each change, so the routers call the guards again when it is changed
+         * @type {Object|null}
+         */
+        this.lastChange = null
+    }
+
+    /**
+     * The current path (the pathname with the query and the hash)
+     * @type {String}
+     */
+    get location () {
+        return "/"
+    }
+
+    /**
+     * A method to go to the path
+     * @param {String}  path                Path to go to (the pathname with the query and the hash)
+     * @param {Object}  [options]
+     * @param {Boolean} [options.replace]   If true, the current entry of the history is replaced
+     * @param {*}       [options.state]     State of the history entry
+     */
+    navigate (path, { replace = false, state = null } = {}) {}
+
+    /**
+     * A method to move through the history
+     * @param {Number} delta Number of the entries to move by (negative to go back)
+     */
+    go (delta) {}
+
+    /**
+     * A method to go to the previous entry
+     */
+    back () {
+        this.go(-1)
+    }
+
+    /**
+     * A method to go to the next entry
+     */
+    forward () {
+        this.go(1)
+    }
+
+    /**
+     * A method to add listener for the location change
+     * @param   {Function} listener Function that receives `{ location, action }` (`action` is `"push"`, `"replace"` or `"pop"`)
+     * @returns {Function} Function to remove this listener
+     */
+    listen (listener) {
+        this._listeners.push(listener)
+
+        return () => {
+            this._listeners = this._listeners.filter(item => item !== listener)
+        }
+    }
+
+    /**
+     * A method to go back to the location before the last change (the router calls it when the guard cancels the navigation).
+     * The pushed entry is left with `back`, the back/forward navigation goes in the opposite direction and the replaced entry is replaced with the previous location again
+     */
+    cancelLastChange () {
+        var change = this.lastChange
+
+        if (change === null) {
+            return
+        }
+
+        if (change.action === "push") {
+            this.back()
+        } else if (change.action === "pop" && change.delta !== null) {
+            this.go(-change.delta)
+        } else if (change.from !== null) {
+            this.navigate(change.from, { replace: true })
+        }
+    }
+
+    _notify (action, { from = null, delta = null } = {}) {
+        var location = this.location
+        this.lastChange = { action, from, delta }
+
+        this._listeners.forEach(listener => {
+            listener({ location, action })
+        })
+    }
+
+    /**
+     * A method to get the path of the URL if it is handled by the app
+     * @param   {String}        url
+     * @returns {String|null}   Path of the URL (null if the URL is external)
+     */
+    toInternalPath (url) {
+        if (typeof url !== "string" || !url.startsWith("/") || url.startsWith("//")) {
+            return null
+        }
+
+        return url
+    }
+}
+
+/**
+ * A history that uses the History API of the browser. The scroll position is saved for each entry and restored on back/forward navigation
+ * @class
+ * @extends NavigationHistory
+ * @example
+ * new Router(new BrowserHistory(), routes).mountTo(document.getElementById("app"))
+ */
+export class BrowserHistory extends NavigationHistory {
+    constructor () {
+        super()
+        this.scrollPositions = new Map()
+
+        var { state } = window.history
+
+        if (state === null || typeof state !== "object" || typeof state.key !== "string") {
+            window.history.replaceState({ key: createKey(), index: 0, state }, "")
+        }
+
+        this.readCurrentEntry()
+
+        if ("scrollRestoration" in window.history) {
+            window.history.scrollRestoration = "manual"
+        }
+
+        this.handlePopState = event => {
+            var hasKey = event.state !== null && typeof event.state === "object" && typeof event.state.key === "string"
+            var index = hasKey && typeof event.state.index === "number" ? event.state.index : null
+            var delta = index !== null && this.currentIndex !== null ? index - this.currentIndex : null
+            var from = this.shownLocation
+
+            this.saveScrollPosition()
+            this.currentKey = hasKey ? event.state.key : createKey()
+            this.currentIndex = index
+            this.shownLocation = this.location
+            this._notify("pop", { from, delta })
+            this.scheduleScrolling(this.scrollPositions.get(this.currentKey) || null)
+        }
+    }
+
+    /**
+     * A method to read the key, the index and the location of the current entry of the browser history
+     */
+    readCurrentEntry () {
+        var { state } = window.history
+        var hasKey = state !== null && typeof state === "object" && typeof state.key === "string"
+
+        this.currentKey = hasKey ? state.key : createKey()
+
+        // The index of the entry is saved to its state, so the direction of the back/forward navigation is known
+        this.currentIndex = hasKey && typeof state.index === "number" ? state.index : null
+        this.shownLocation = this.location
+    }
+
+    /**
+     * A method to add listener for the location change. The back/forward navigation of the browser is listened while the history has the listeners
+     * (the routers that use the history share it, so it is listened until the last of them is unsubscribed)
+     * @param   {Function} listener Function that receives `{ location, action }` (`action` is `"push"`, `"replace"` or `"pop"`)
+     * @returns {Function} Function to remove this listener
+     */
+    listen (listener) {
+        if (this._listeners.length === 0) {
+            // The entries could be changed while the history was not listening
+            this.readCurrentEntry()
+            window.addEventListener("popstate", this.handlePopState)
+        }
+
+        var unlisten = super.listen(listener)
+        var isListening = true
+
+        return () => {
+            if (isListening) {
+                isListening = false
+                unlisten()
+
+                if (this._listeners.length === 0) {
+                    window.removeEventListener("popstate", this.handlePopState)
+                }
+            }
+        }
+    }
+
+    get location () {
+        var { pathname, search, hash } = window.location
+        return pathname + search + hash
+    }
+
+    /**
+     * The state of the current entry
+     * @type {*}
+     */
+    get state () {
+        return window.history.state !== null ? window.history.state.state : null
+    }
+
+    navigate (path, { replace = false, state = null } = {}) {
+        var from = this.shownLocation
+
+        this.saveScrollPosition()
+        this.currentKey = createKey()
+
+        if (!replace && this.currentIndex !== null) {
+            ++this.currentIndex
+        }
+
+        window.history[replace ? "replaceState" : "pushState"]({ key: this.currentKey, index: this.currentIndex, state }, "", path)
+        this.shownLocation = this.location
+        this._notify(replace ? "replace" : "push", { from, delta: replace ? 0 : 1 })
+        this.scheduleScrolling(null)
+    }
+
+    go (delta) {
+        window.history.go(delta)
+    }
+
+    toInternalPath (url) {
+        if (typeof url !== "string" || url === "") {
+            return null
+        }
+
+        var parsed = new URL(url, window.location.href)
+
+        if (parsed.origin !== window.location.origin) {
+            return null
+        }
+
+        return parsed.pathname + parsed.search + parsed.hash
+    }
+
+    /**
+     * A method to save the scroll position of the current entry
+     */
+    saveScrollPosition () {
+        this.scrollPositions.set(this.currentKey, { x: window.pageXOffset, y: window.pageYOffset })
+    }
+
+    /**
+     * A method to scroll the page after the views are updated for the new location.
+     * The page is scrolled to the saved position, to the element of the hash or to the top
+     * @param {Object|null} position Saved position (`{ x, y }`)
+     */
+    scheduleScrolling (position) {
+        // The views are updated with the user-blocking priority, so they are updated before this work
+        Worker.addUnitOfWork(() => {
+            if (position !== null) {
+                window.scrollTo(position.x, position.y)
+                return
+            }
+
+            var element = window.location.hash.length > 1 ? document.getElementById(decodeURIComponent(window.location.hash.slice(1))) : null
+
+            if (element !== null) {
+                element.scrollIntoView()
+            } else {
+                window.scrollTo(0, 0)
+            }
+        }, { priority: Priority.normal })
+    }
+}
+
+/**
+ * A history that keeps the entries in memory. Use it in tests and on the server
+ * @class
+ * @extends NavigationHistory
+ * @example
+ * const history = new MemoryHistory(request.url)
+ * response.end(new Router(history, routes).toString())
+ */
+export class MemoryHistory extends NavigationHistory {
+    /**
+     * @param {String|String[]} [entries]   Initial path or paths of the entries (the last one is the current)
+     */
+    constructor (entries = "/") {
+        super()
+        this.entries = (Array.isArray(entries) ? entries : [ entries ]).map(path => ({ path, state: null }))
+        this.index = this.entries.length - 1
+    }
+
+    get location () {
+        return this.entries[this.index].path
+    }
+
+    /**
+     * The state of the current entry
+     * @type {*}
+     */
+    get state () {
+        return this.entries[this.index].state
+    }
+
+    navigate (path, { replace = false, state = null } = {}) {
+        var from = this.location
+
+        if (replace) {
+            this.entries[this.index] = { path, state }
+        } else {
+            this.entries.splice(this.index + 1, this.entries.length, { path, state })
+            this.index = this.entries.length - 1
+        }
+
+        this._notify(replace ? "replace" : "push", { from, delta: replace ? 0 : 1 })
+    }
+
+    go (delta) {
+        var from = this.location
+        var index = Math.min(Math.max(this.index + delta, 0), this.entries.length - 1)
+
+        if (index !== this.index) {
+            delta = index - this.index
+            this.index = index
+            this._notify("pop", { from, delta })
+        }
+    }
+}
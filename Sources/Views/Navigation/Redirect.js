@@ -0,0 +1,48 @@
+//
+// Redirect.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { Route } from "./Route"
+
+/**
+ * A route that redirects the matched paths to the other path
+ * @class
+ * @extends Route
+ * @example
+ * new Redirect({ path: "/posts/:id", to: "/articles/:id", status: 301 })
+ */
+export class Redirect extends Route {
+    /**
+     * @param {Object}          options
+     * @param {String}          [options.path]      Path pattern of the route (see `Route`)
+     * @param {Boolean}         [options.exact]     If false, the route matches the paths that start with its path (true by default)
+     * @param {String|Function} options.to          Path to redirect to (`:name` is replaced with the parameter of the matched route) or function that receives the matched route and returns that path
+     * @param {Number}          [options.status]    HTTP status of the redirect on the server
+     */
+    constructor({ path, exact, to, status = 302 }) {
+        super({ path, exact, to, status })
+    }
+
+    /**
+     * A method to get the path to redirect to
+     * @param   {Object} route  Matched route
+     * @returns {String}
+     */
+    getRedirectPath(route) {
+        if (typeof this.options.to === "function") {
+            return this.options.to(route)
+        }
+
+        return this.options.to.replace(/:(\w+)/g, (part, name) => name in route.params ? encodeURIComponent(route.params[name]) : part)
+    }
+
+    getBody() {
+        return null
+    }
+}
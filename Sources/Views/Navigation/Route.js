@@ -9,56 +9,223 @@
 // 
 
 import { View } from "../View"
+import { AsyncView } from "../Generic/AsyncView"
+import { DataCache } from "../../State/DataCache"
 
-function pathMatches(pathname, { path, exact }) {
+const compiledPaths = new Map()
+
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value)
+    } catch (error) {
+        return value
+    }
+}
+
+/**
+ * A function to convert the path pattern to the regular expression.
+ * `:name` is the named parameter, `:name?` is the optional one and `*` matches the rest of the path
+ * @param   {String}    path
+ * @param   {Boolean}   exact   If false, the pattern matches the beginning of the path (by the whole segments)
+ * @returns {Object}    Regular expression and the names of the parameters
+ */
+function compilePath(path, exact) {
+    var cacheKey = `${exact}:${path}`
+
+    if (compiledPaths.has(cacheKey)) {
+        return compiledPaths.get(cacheKey)
+    }
+
+    var keys = []
+    var source = path.replace(/\/+$/, "").replace(/(\/?):(\w+)(\?)?|(\/?)\*|[^:*/]+|\//g, (part, slash, name, optional, wildcardSlash) => {
+        if (name !== undefined) {
+            keys.push(name)
+            return optional !== undefined ? `(?:${escapeRegExp(slash)}([^/]+?))?` : `${escapeRegExp(slash)}([^/]+?)`
+        }
+
+        if (wildcardSlash !== undefined) {
+            keys.push("*")
+            return wildcardSlash !== "" ? "(?:/(.*))?" : "(.*)"
+        }
+
+        return escapeRegExp(part)
+    })
+
+    var compiled = {
+        regExp: new RegExp(exact ? `^${source}/?$` : `^${source}(?=/|$)`, "i"),
+        keys
+    }
+
+    compiledPaths.set(cacheKey, compiled)
+
+    return compiled
+}
+
+/**
+ * A function to match the pathname with the path pattern
+ * @example
+ * matchPath("/articles/42", { path: "/articles/:id" }) // { path: "/articles/:id", url: "/articles/42", isExact: true, params: { id: "42" } }
+ * @param   {String}        pathname                Pathname to match (without the query)
+ * @param   {Object}        options
+ * @param   {String}        [options.path]          Path pattern (`:name` for the named parameter, `:name?` for the optional one and `*` for the rest of the path). Matches any pathname if not specified
+ * @param   {Boolean}       [options.exact]         If false, the pattern matches the beginning of the pathname
+ * @returns {Object|null}   Matched `path`, `url`, `isExact` and `params`, or null if the pathname does not match
+ */
+export function matchPath(pathname, { path, exact = true }) {
     if (!path) {
-        return { path: null, url: pathname, isExact: true }
+        return { path: null, url: pathname, isExact: true, params: {} }
     }
 
-    const matches = new RegExp(`^${path}`).exec(pathname)
+    var { regExp, keys } = compilePath(path, exact)
+    var matches = regExp.exec(pathname)
 
     if (!matches) {
         return null
     }
 
-    const url = matches[0]
-    const isExact = pathname === url
+    var params = {}
+    var url = matches[0]
 
-    if (exact && !isExact) {
-        return null
+    keys.forEach((key, index) => {
+        if (matches[index + 1] !== undefined) {
+            params[key] = decodeParam(matches[index + 1])
+        }
+    })
+
+    // The rest of the path that is matched with the wildcard is not a part of the matched URL
+    if (keys[keys.length - 1] === "*") {
+        url = url.slice(0, url.length - (matches[keys.length] || "").length).replace(/\/$/, "")
     }
 
     return {
         path: path,
         url: url,
-        isExact: isExact
+        isExact: pathname.replace(/\/$/, "") === url.replace(/\/$/, ""),
+        params: params
+    }
+}
+
+/**
+ * A function to parse the query string. The values of the repeated keys are collected to the arrays
+ * @example
+ * parseQuery("?tag=news&tag=sport&page=2") // { tag: [ "news", "sport" ], page: "2" }
+ * @param   {String} search Query string (with or without `?`)
+ * @returns {Object}
+ */
+export function parseQuery(search) {
+    var query = {}
+
+    search.replace(/^\?/, "").split("&").forEach(pair => {
+        if (pair === "") {
+            return
+        }
+
+        var index = pair.indexOf("=")
+        var key = decodeParam((index >= 0 ? pair.slice(0, index) : pair).replace(/\+/g, " "))
+        var value = index >= 0 ? decodeParam(pair.slice(index + 1).replace(/\+/g, " ")) : ""
+
+        if (!(key in query)) {
+            query[key] = value
+        } else if (Array.isArray(query[key])) {
+            query[key].push(value)
+        } else {
+            query[key] = [ query[key], value ]
+        }
+    })
+
+    return query
+}
+
+/**
+ * A function to create the view of the lazy route from the loaded module
+ * @param   {*}         module  Module whose default export is the view class, the function that receives the matched route or the view
+ * @param   {Object}    route   Matched route
+ * @returns {View}
+ */
+function createRouteView(module, route) {
+    var exported = module !== null && typeof module === "object" && "default" in module ? module.default : module
+
+    if (typeof exported === "function" && exported.prototype instanceof View) {
+        return new exported()
     }
+
+    return typeof exported === "function" ? exported(route) : exported
 }
 
 /**
- * View that is used to represent one route
+ * View that is used to represent one route.
+ * The routed view can get the matched route with `this.getEnvironment("route")` (`params`, `query`, `hash`, `url`, `pathname` etc.)
+ * @example
+ * new Route({
+ *     path: "/articles/:id",
+ *     view: ({ params }) => new Article(params.id)
+ * })
+ *
+ * // The navigation is allowed only for the signed in users
+ * new Route({
+ *     path: "/account",
+ *     guard: () => session.isSignedIn() || "/login",
+ *     view: new Account()
+ * })
+ *
+ * // The module is loaded when the route is matched for the first time.
+ * // Load the modules of the matched routes before the hydration with `await app.preload("client")`
+ * new Route({
+ *     path: "/settings",
+ *     load: () => import("./Pages/Settings"),
+ *     placeholder: new Spinner()
+ * })
  */
 export class Route extends View {
     /**
-     * @param {Object}  options
-     * @param {String}  options.path    Path of the route
-     * @param {Boolean} options.exact   Check if path is exact
-     * @param {View}    options.view    View that will be loaded
+     * @param {Object}                options
+     * @param {String}                [options.path]          Path pattern of the route (`:name` for the named parameter, `:name?` for the optional one and `*` for the rest of the path)
+     * @param {Boolean}               [options.exact]         If false, the route matches the paths that start with its path (true by default)
+     * @param {View|Function}         [options.view]          View that will be loaded or function that receives the matched route and returns that view
+     * @param {Function}              [options.load]          Function that returns the promise of the module with the view (it is used instead of `view`). The default export of the module is the view class, the function that receives the matched route or the view
+     * @param {View}                  [options.placeholder]   View to show while the module of the lazy route is loaded
+     * @param {Function|Function[]}   [options.guard]         Function (or functions that are called in order) that receives the matched route and returns (or resolves with) true to allow the navigation, false to cancel it or the path to redirect to
      */
     constructor(options) {
         super(options)
     }
 
+    getInitialState() {
+        // The loaded modules of the lazy routes by their paths (they are not passed to the client with the data, so they are kept apart from it).
+        // The route that replaces this one takes them over, so the loader can be created again by each rendering
+        return { modules: new DataCache() }
+    }
+
     getBody() {
+        var route = this.getEnvironment("route", null)
+
+        if (typeof this.options.load === "function") {
+            return new AsyncView({
+                dataKey: `module:${this.options.path}`,
+                load: this.options.load,
+                cache: this.state.get("modules"),
+                content: module => createRouteView(module, route),
+                placeholder: this.options.placeholder || null
+            })
+        }
+
+        if (typeof this.options.view === "function") {
+            return this.options.view(route)
+        }
+
         return this.options.view
     }
 
     /**
      * Method to check if path passed is equal to this route path
-     * @param {String} path Current path
+     * @param   {String}        path    Current path
+     * @returns {Object|null}   Result of `matchPath`
      */
     pathMatches(path) {
-        return pathMatches(path, { path: this.options.path, exact: (this.options.exact === undefined ? true : this.options.exact) })
+        return matchPath(path, { path: this.options.path, exact: (this.options.exact === undefined ? true : this.options.exact) })
     }
 }
-
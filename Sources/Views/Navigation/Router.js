@@ -9,29 +9,397 @@
 // 
 
 import { View } from "../View"
-import { Route } from "./Route"
+import { Route, parseQuery } from "./Route"
+import { Redirect } from "./Redirect"
+import { NavigationHistory } from "./History"
+import { DataCache, LoadingStatus } from "../../State/DataCache"
+import { Priority } from "../../Worker"
+
+const maxRedirects = 10
+
+/**
+ * A function to split the path to the pathname, the query and the hash
+ * @param   {String} path
+ * @returns {Object}
+ */
+function parseLocation(path) {
+    var hashIndex = path.indexOf("#")
+    var hash = hashIndex >= 0 ? path.slice(hashIndex) : ""
+    var rest = hashIndex >= 0 ? path.slice(0, hashIndex) : path
+    var searchIndex = rest.indexOf("?")
+
+    return {
+        location: path,
+        pathname: (searchIndex >= 0 ? rest.slice(0, searchIndex) : rest) || "/",
+        query: parseQuery(searchIndex >= 0 ? rest.slice(searchIndex) : ""),
+        hash: hash
+    }
+}
+
+/**
+ * A function to convert the value returned by the guard to the result of the navigation
+ * @param   {*}             value
+ * @returns {Object|null}   Null if the navigation is allowed by the guard
+ */
+function toNavigationResult(value) {
+    if (value === false) {
+        return { type: "cancel" }
+    }
+
+    if (typeof value === "string") {
+        return { type: "redirect", path: value, status: 302 }
+    }
+
+    return null
+}
+
+/**
+ * A function to call the guards in order until one of them cancels or redirects the navigation
+ * @param   {Function[]}    guards
+ * @param   {Object}        route   Matched route
+ * @param   {Number}        [index] Index of the guard to start with
+ * @returns {Object|Promise} Result of the navigation (the promise if one of the guards is async)
+ */
+function runGuards(guards, route, index = 0) {
+    for (let i = index; i < guards.length; ++i) {
+        let value = guards[i](route)
+
+        if (value !== null && typeof value === "object" && typeof value.then === "function") {
+            return value.then(value => toNavigationResult(value) || runGuards(guards, route, i + 1))
+        }
+
+        let result = toNavigationResult(value)
+
+        if (result !== null) {
+            return result
+        }
+    }
+
+    return { type: "allow" }
+}
 
 /**
- * View that is used for routing
+ * View that is used for routing. It renders the first route that matches the path.
+ * With the history, the router is updated when the location changes and the links inside of it navigate without reloading the page.
+ * The router without the path is nested: it matches the rest of the path of the route that contains it.
+ * Before the route is rendered, its guards are called. Until the async guards are resolved, the previous route is shown.
+ * On the server the redirects replace the location of the history and are saved to `history.lastRedirect`.
+ * The router has the events `beforeNavigation` and `afterNavigation` (the handlers receive `{ from, to }`)
+ * @example
+ * new Router(new BrowserHistory(), [
+ *     new Route({ path: "/", view: new Home() }),
+ *     new Route({ path: "/articles", exact: false, view: new Router([
+ *         new Route({ path: "/", view: new ArticleList() }),
+ *         new Route({ path: "/:id", view: ({ params }) => new Article(params.id) })
+ *     ]) })
+ * ], { notFound: new NotFound() })
  */
 export class Router extends View {
     /**
-     * @param {String}  path    Current web path
-     * @param {Route[]} routes  Routes for the app
+     * @param {String|NavigationHistory}    [path]              Current web path (with the query and the hash) or the history to get it from. If not specified, the router is nested
+     * @param {Route[]}                     routes              Routes for the app
+     * @param {Object}                      [options]
+     * @param {View}                        [options.notFound]  View to render when none of the routes matches
+     */
+    constructor(path, routes, options = {}) {
+        if (Array.isArray(path)) {
+            [ path, routes, options ] = [ null, path, routes || {} ]
+        }
+
+        var history = path instanceof NavigationHistory ? path : null
+
+        super({ path: history === null ? path : null, history, routes, notFound: options.notFound || null })
+
+        if (history !== null) {
+            this.providedEnvironment.history = history
+        }
+    }
+
+    getInitialState() {
+        // The location that is shown, the location that the handlers of `afterNavigation` know about and the guard results of the router
+        // (they are kept for `cachedFor`: the last change of the history or the location of the router without the history)
+        return { location: null, notifiedLocation: null, cache: new DataCache(), cachedFor: null }
+    }
+
+    /**
+     * A method to go to the path with the history of the router (or the history of the parent router if this one is nested)
+     * @param {String}  path                Path to go to (the pathname with the query and the hash)
+     * @param {Object}  [options]
+     * @param {Boolean} [options.replace]   If true, the current entry of the history is replaced
+     * @param {*}       [options.state]     State of the history entry
      */
-    constructor(path, routes) {
-        super({ path, routes })
+    navigate(path, options) {
+        var history = this.getHistory()
+
+        if (history === null) {
+            throw new Error("The router has no history to navigate with")
+        }
+
+        history.navigate(path, options)
     }
 
-    getBody() {
-        for (let i in this.options.routes) {
-            if (this.options.routes[i] instanceof Route && this.options.routes[i].pathMatches(this.options.path)) {
-                let node = this.options.routes[i].getBody()
-                return node
+    /**
+     * A method to get the history of the router (or the history of the parent router if this one is nested)
+     * @returns {NavigationHistory|null}
+     */
+    getHistory() {
+        return this.options.history || this.getEnvironment("history", null)
+    }
+
+    /**
+     * A method to subscribe the router to the history (the router is updated with the user-blocking priority when the location changes)
+     * and to call the handlers of `afterNavigation` when the new location is shown
+     */
+    attachSubscriptions() {
+        super.attachSubscriptions()
+
+        var { history } = this.options
+        var location = this.state.get("location")
+
+        if (history !== null && !this.subscriptions.has(history)) {
+            this.subscriptions.set(history, history.listen(() => {
+                if (this.mounted && this.lastVNode.dom.isConnected) {
+                    View.batchUpdates(() => this.invalidate(), { priority: Priority.userBlocking })
+                } else {
+                    this.releaseSubscriptions()
+                }
+            }))
+
+            // The location could be changed before the router is subscribed (by the redirect, for example)
+            if (this.renderedLocation !== history.location) {
+                this.invalidate()
+            }
+        }
+
+        if (location !== null && location.location !== this.state.get("notifiedLocation")) {
+            this.notifyAboutNavigation(location)
+        }
+    }
+
+    /**
+     * A method to call the handlers of the navigation event
+     * @param {String} event    Name of the event (`beforeNavigation` or `afterNavigation`)
+     * @param {Object} info     Information about the navigation (`from` and `to`)
+     */
+    emit(event, info) {
+        if (this.events[event]) {
+            this.events[event].forEach(handler => {
+                handler(info)
+            })
+        }
+    }
+
+    /**
+     * A method to call the handlers of `afterNavigation` for the location that is shown
+     * @param {Object} location Result of `getLocation`
+     */
+    notifyAboutNavigation(location) {
+        var from = this.state.get("notifiedLocation")
+
+        // The state is changed without the invalidation as it is not shown
+        this.state._currentState = Object.assign({}, this.state._currentState, { notifiedLocation: location.location })
+        this.emit("afterNavigation", { from, to: location.location })
+    }
+
+    /**
+     * A method to get the location that the routes are matched with
+     * @returns {Object} `location` (the whole path), `pathname`, `query`, `hash` and `base` (URL of the parent route, the routes are matched with the rest of the pathname)
+     */
+    getLocation() {
+        var { history } = this.options
+        var parent = this.getEnvironment("route", null)
+
+        if (history !== null) {
+            return Object.assign(parseLocation(history.location), { base: "", params: {} })
+        }
+
+        if (this.options.path === null || this.options.path === undefined) {
+            if (parent === null) {
+                return Object.assign(parseLocation("/"), { base: "", params: {} })
+            }
+
+            return { location: parent.location, pathname: parent.pathname, query: parent.query, hash: parent.hash, base: parent.url.replace(/\/$/, ""), params: parent.params }
+        }
+
+        return Object.assign(parseLocation(this.options.path), { base: "", params: {} })
+    }
+
+    /**
+     * A method to find the route that matches the location
+     * @param   {Object}        location    Result of `getLocation`
+     * @returns {Object|null}   The `route` and the information about the match (`info`) that is passed to the route
+     */
+    matchRoute(location) {
+        var { location: path, pathname, query, hash, base, params } = location
+        var relativePath = pathname.slice(base.length) || "/"
+
+        for (let route of this.options.routes) {
+            let match = route instanceof Route ? route.pathMatches(relativePath) : null
+
+            if (match) {
+                return {
+                    route,
+                    info: {
+                        path: match.path,
+                        url: base + match.url,
+                        isExact: match.isExact,
+                        params: Object.assign({}, params, match.params),
+                        location: path,
+                        pathname,
+                        query,
+                        hash
+                    }
+                }
             }
         }
 
         return null
     }
-}
 
+    /**
+     * A method to call the guards of the route that matches the location
+     * @param   {Object}            location    Result of `getLocation`
+     * @returns {Object|Promise}    Result of the navigation (`type` is `"allow"`, `"cancel"` or `"redirect"` with the `path` and the `status`) or the promise of it
+     */
+    resolve(location) {
+        var match = this.matchRoute(location)
+
+        if (match === null) {
+            return { type: "allow" }
+        }
+
+        if (match.route instanceof Redirect) {
+            return { type: "redirect", path: match.route.getRedirectPath(match.info), status: match.route.options.status }
+        }
+
+        var { guard } = match.route.options
+
+        return runGuards(guard === undefined ? [] : [].concat(guard), match.info)
+    }
+
+    /**
+     * A method to get the entry of the navigation result for the location (see `DataCache.createEntry`).
+     * The results are kept by the router until the location of the history (or the location of the router without the history) changes
+     * @param   {Object} location   Result of `getLocation`
+     * @returns {State}
+     */
+    getNavigationEntry(location) {
+        var from = this.state.get("location")
+
+        return this.state.get("cache").load(`${location.base}|${location.location}`, () => {
+            this.emit("beforeNavigation", { from: from !== null ? from.location : null, to: location.location })
+            return this.resolve(location)
+        })
+    }
+
+    /**
+     * A method to get the route to render for the location that is allowed by the guards
+     * @param   {Object|null}   location    Result of `getLocation`
+     * @returns {View|null}
+     */
+    renderLocation(location) {
+        if (location === null) {
+            return null
+        }
+
+        var match = this.matchRoute(location)
+
+        if (match !== null) {
+            // The environment is changed without the invalidation as the route is being rendered
+            match.route.providedEnvironment = Object.assign({}, match.route.providedEnvironment, { route: match.info })
+            return match.route
+        }
+
+        if (this.options.notFound !== null) {
+            let { location: path, pathname, query, hash, params } = location
+
+            return new Route({ view: this.options.notFound }).setEnvironment({
+                route: { path: null, url: pathname, isExact: false, params, location: path, pathname, query, hash, notFound: true }
+            })
+        }
+
+        return null
+    }
+
+    getBody(side = "client") {
+        var history = this.getHistory()
+        var location = this.getLocation()
+        var redirectedFrom = null
+
+        this.renderedLocation = location.location
+
+        var cachedFor = history !== null ? history.lastChange : location.location
+
+        if (cachedFor !== this.state.get("cachedFor")) {
+            // The guards are called again when the location changes (the state is changed without the invalidation as the router is being rendered)
+            this.state._currentState = Object.assign({}, this.state._currentState, { cache: new DataCache(), cachedFor })
+        }
+
+        for (let redirects = 0; redirects <= maxRedirects; ++redirects) {
+            let entry = this.getNavigationEntry(location)
+            let { status, value, error } = this.select(entry)
+            let lastLocation = this.state.get("location")
+
+            if (status === LoadingStatus.pending) {
+                if (history !== null) {
+                    View.waitFor(entry.promise)
+                }
+
+                return this.renderLocation(lastLocation)
+            }
+
+            if (status === LoadingStatus.rejected) {
+                throw error
+            }
+
+            if (value.type === "allow") {
+                // The state is changed without the invalidation as the router is being rendered
+                this.state._currentState = Object.assign({}, this.state._currentState, { location })
+
+                if (side === "server") {
+                    this.notifyAboutNavigation(location)
+                }
+
+                return this.renderLocation(location)
+            }
+
+            if (value.type === "cancel") {
+                // The history goes back to the shown location after the rendering (the entry that is pushed is left, so it is not duplicated)
+                if (history !== null && lastLocation !== null && side !== "server") {
+                    Promise.resolve().then(() => {
+                        if (history.location === location.location) {
+                            history.cancelLastChange()
+                        }
+                    })
+                }
+
+                return this.renderLocation(lastLocation)
+            }
+
+            if (history === null) {
+                // Without the history only the router that is not nested can show the other location
+                if (location.base !== "") {
+                    return null
+                }
+
+                location = Object.assign(parseLocation(value.path), { base: "", params: {} })
+            } else if (side === "server") {
+                redirectedFrom = redirectedFrom || history.location
+                history.lastRedirect = { from: redirectedFrom, to: value.path, status: value.status }
+                history.navigate(value.path, { replace: true })
+
+                // The nested router is rendered with the location of the parent route, so it can not show the new location
+                if (this.options.history === null) {
+                    return null
+                }
+
+                location = this.getLocation()
+            } else {
+                Promise.resolve().then(() => history.navigate(value.path, { replace: true }))
+                return this.renderLocation(lastLocation)
+            }
+        }
+
+        throw new Error("Too many redirects")
+    }
+}
@@ -0,0 +1,50 @@
+//
+// PureView.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { View } from "./View"
+
+/**
+ * A function to compare the objects by their own keys and values
+ * @param   {Object} first
+ * @param   {Object} second
+ * @returns {Boolean} True if the objects have the same keys with strictly equal values
+ */
+export function shallowEqual(first, second) {
+    if (Object.is(first, second)) {
+        return true
+    }
+
+    if (typeof first !== "object" || typeof second !== "object" || first === null || second === null) {
+        return false
+    }
+
+    var firstKeys = Object.keys(first)
+    var secondKeys = Object.keys(second)
+
+    return firstKeys.length === secondKeys.length && firstKeys.every(key => Object.prototype.hasOwnProperty.call(second, key) && Object.is(first[key], second[key]))
+}
+
+/**
+ * A view that is rendered again only when its options, state or environment values are changed (compared shallowly).
+ * Use it for the views whose body depends only on these inputs
+ * @class
+ * @extends View
+ * @example
+ * class Row extends PureView {
+ *     getBody () {
+ *         return new Text(this.options.title)
+ *     }
+ * }
+ */
+export class PureView extends View {
+    shouldUpdate ({ options, state, environment }) {
+        return !(shallowEqual(options, this.options) && shallowEqual(state, this.state.current) && shallowEqual(environment, this.environment))
+    }
+}
@@ -15,11 +15,120 @@ import { Reconciler } from "../VirtualDOM/Reconciler"
 import { Length, pixels } from "../Values/Length"
 import { Color } from "../Values/Color"
 import { State } from "../State/State"
+import { Binding } from "../State/Binding"
+import { DataCache } from "../State/DataCache"
 import { Font } from "../Values/Font"
-import { Worker } from "../Worker"
+import { Worker, Priority, higherPriority } from "../Worker"
+import { StyleSheet } from "../Styles/StyleSheet"
+import { InteractionState, interactionStateToCssSelector } from "../Values/InteractionState"
+import { Breakpoint } from "../Values/Breakpoint"
 
 // function Reconciler.updateVNodeDOM is described after the class View
 
+var defaultStyleSheet = null
+
+// Views that are invalidated and wait for the update, the batching state, the scheduled update and the views updated by the current flush
+const pendingViews = new Set()
+var batchDepth = 0
+var batchPriority = Priority.normal
+var flushWork = null
+var updatedViews = null
+
+// Number of the updates of the VNodes committed by their views (they are updated in place, see `commitVNode`)
+const vNodeRevisions = new WeakMap()
+
+// Names of the views where the errors are thrown (they are added while the error goes up through the rendering)
+const errorPaths = new WeakMap()
+
+// Promises that the views being rendered wait for (null if they are not collected, see `collectLoads`)
+var pendingLoads = null
+
+function scheduleUpdate(view) {
+    pendingViews.add(view)
+
+    if (batchDepth === 0) {
+        scheduleFlush(Priority.normal)
+    }
+}
+
+function scheduleFlush(priority) {
+    if (pendingViews.size === 0) {
+        return
+    }
+
+    // The update that is not started yet is rescheduled if the priority is higher (the started one is continued as is)
+    if (flushWork !== null && !flushWork.isDone && !flushWork.isCancelled) {
+        if (higherPriority(flushWork.priority, priority) === flushWork.priority) {
+            return
+        }
+
+        flushWork.cancel()
+    }
+
+    flushWork = Worker.addUnitOfWork(flushUpdates, { priority })
+}
+
+function getDepth(dom) {
+    var depth = 0
+
+    for (let node = dom; node !== null; node = node.parentNode) {
+        ++depth
+    }
+
+    return depth
+}
+
+/**
+ * A function to update the pending views once each. Parents are updated before their children,
+ * so the child that is rerendered with its parent is not updated again.
+ * The rendering is stopped when the deadline runs out, the rest of the work is returned to the Worker
+ * @param   {Object}    [deadline]  Deadline of the unit of work
+ * @returns {Function|undefined}    Function that continues the work (if it is not done)
+ */
+function flushUpdates(deadline) {
+    flushWork = null
+
+    var views = Array.from(pendingViews)
+        .filter(view => view.mounted)
+        .map(view => ({ view, depth: getDepth(view.lastVNode.dom) }))
+        .sort((a, b) => a.depth - b.depth)
+        .map(item => item.view)
+
+    var updated = new Set()
+    var index = 0
+    var task = null
+    pendingViews.clear()
+
+    const work = deadline => {
+        var previousUpdatedViews = updatedViews
+        updatedViews = updated
+
+        try {
+            while (index < views.length) {
+                if (task === null) {
+                    if (updated.has(views[index]) || !views[index].mounted) {
+                        ++index
+                        continue
+                    }
+
+                    task = createUpdateTask(views[index])
+                }
+
+                if (!task(deadline)) {
+                    return work
+                }
+
+                task = null
+                ++index
+            }
+        } finally {
+            updatedViews = previousUpdatedViews
+        }
+    }
+
+    return work(deadline)
+}
+
 function isValidLength(value) {
     return value instanceof Length || value instanceof Number || typeof value === "number"
 }
@@ -32,6 +141,456 @@ function isString(value) {
     return value instanceof String || typeof value === "string"
 }
 
+/**
+ * A function to render the view (and the views returned from its body) until the body is a VNode.
+ * The children of the resulting VNode are left unrendered
+ * @param   {Object}    options
+ * @param   {View}      options.view                View to render
+ * @param   {View[]}    [options.views]             Array where to add the views that are rendered
+ * @param   {Boolean}   options.ignoreStateChange   If true, the state change will be ignored
+ * @param   {String}    options.side                Side of the rendering (`"server"`, `"client"` etc.)
+ * @param   {VNode}     [options.lastVNode]         Previous result of rendering
+ * @param   {StyleSheet} [options.styleSheet]       Style sheet where to move the styles of the resulting VNode
+ * @param   {StyleSheet} [options.sharedStyleSheet] Style sheet where to move the styles that can not be inline if the styles are inline (see `moveStylesToStyleSheet`)
+ * @param   {Object}    [options.environment]       Environment values provided by the ancestors
+ * @param   {Function[]} [options.effects]          Effects that are run when the result of the rendering is committed (if not specified, they are run right away)
+ * @returns {Object}    Object with the resulting `node`, the `views` that were rendered, the `environment` for the children and `reused` (true if the previous VNode is reused)
+ */
+function renderViewChain({ view, views = [], ignoreStateChange, side, lastVNode = null, styleSheet = null, sharedStyleSheet = null, environment = {}, effects = null }) {
+    var node = view
+    var lastViews = lastVNode instanceof VNode ? lastVNode.views : []
+
+    while (node instanceof View) {
+        let lastView = lastViews[views.length]
+        let isSameView = lastView instanceof View && lastView.constructor === node.constructor && lastView.key === node.key
+
+        if (isSameView && lastView !== node) {
+            node.state._currentState = takeOverState(lastView, node)
+        }
+
+        node.inheritedEnvironment = environment
+        node.environment = Object.assign({}, environment, node.providedEnvironment)
+
+        // If the view does not need the update, the previous instance is kept with its VNode (the values selected from the external states are not the inputs of `shouldUpdate`, so their changes always update the view)
+        if (isSameView && lastView.lastRender !== null && lastVNode.dom instanceof Node && !hasChangedSelections(lastView) && !node.shouldUpdate(lastView.lastRender)) {
+            views.push(...lastViews.slice(views.length))
+
+            let reusedViews = views.slice()
+
+            runEffect(effects, () => {
+                lastVNode.views = reusedViews
+                lastVNode.view = reusedViews[reusedViews.length - 1]
+            })
+
+            return { node: lastVNode, views, environment, reused: true }
+        }
+
+        if (isSameView && lastView !== node) {
+            runEffect(effects, () => {
+                lastView.releaseSubscriptions()
+
+                // The DOM belongs to the new instance now, so the previous one is not updated anymore
+                lastView.lastVNode = null
+            })
+        }
+
+        if (updatedViews !== null) {
+            updatedViews.add(node)
+        }
+
+        views.push(node)
+
+        environment = node.environment
+        node.selections = []
+        node.lastRender = { options: node.options, state: node.state._currentState, environment: environment }
+
+        if (ignoreStateChange) {
+            const nodeStateSet = node.state.set
+            node.state.set = () => {}
+            
+            let newNode = node.getBody(side)
+            node.state.set = nodeStateSet
+            node = newNode
+        } else {
+            node = node.getBody(side)
+        }
+    }
+
+    if (node != null) {
+        if (!(node instanceof VNode)) {
+            throw new Error("Expected a VNode as the result of rendering the View (the rendering is recursive, so the error can be in the parent class or in the child class)")
+        }
+
+        node.view = views[views.length - 1]
+        node.views = views
+
+        for (let i = 0; i < views.length; ++i) {
+            if (views[i].key !== null) {
+                node.key = views[i].key
+                break
+            }
+        }
+
+        if (node.type === VNodeType.tag) {
+            moveStylesToStyleSheet(node, styleSheet, side, sharedStyleSheet)
+        }
+    }
+
+    return { node, views, environment, reused: false }
+}
+
+/**
+ * A function to check if the values that the view selected from the external states in the last rendering are changed (see `View.select`)
+ * @param   {View}      view
+ * @param   {State}     [state] If specified, only the values selected from this state are checked
+ * @returns {Boolean}
+ */
+function hasChangedSelections(view, state = null) {
+    return view.selections.some(item => (state === null || item.state === state) && !item.isEqual(item.value, item.selector(item.state.current)))
+}
+
+/**
+ * A function to get the state of the new instance of the view that takes the place of the previous one.
+ * The values applied by the parent before the rendering (with `disable`, for example) are not taken over:
+ * the new instance keeps the ones it applied itself, the rest of them are reset to the initial values
+ * @param   {View}      lastView    Previous instance
+ * @param   {View}      view        New instance
+ * @returns {Object}
+ */
+function takeOverState(lastView, view) {
+    var state = Object.assign({}, lastView.state._currentState)
+
+    for (let key of Object.keys(Object.assign({}, lastView.appliedState, view.appliedState))) {
+        state[key] = view.state._currentState[key]
+    }
+
+    return state
+}
+
+/**
+ * A function to run the effect of the rendering now or to save it for the commit
+ * @param {Function[]|null} effects     Effects that are run when the result of the rendering is committed (null to run the effect now)
+ * @param {Function}        effect
+ */
+function runEffect(effects, effect) {
+    if (effects !== null) {
+        effects.push(effect)
+    } else {
+        effect()
+    }
+}
+
+function getViewName(view) {
+    return view.constructor.name || "View"
+}
+
+/**
+ * A function to add the names of the views to the beginning of the path of the component where the error is thrown
+ * @param {*}       error
+ * @param {View[]}  views
+ */
+function addToErrorPath(error, views) {
+    if (error !== null && (typeof error === "object" || typeof error === "function")) {
+        errorPaths.set(error, views.map(getViewName).concat(errorPaths.get(error) || []))
+    }
+}
+
+/**
+ * A function to show the error thrown outside of the rendering of the parent views (when the view is rendered again by itself, mounted or handles the event)
+ * with the error boundary that contains the view
+ * @param   {View}      view
+ * @param   {*}         error
+ * @returns {Boolean}   False if there is no boundary that can show the error, so it has to be thrown
+ */
+function showErrorInBoundary(view, error) {
+    if (view.errorBoundary === null) {
+        return false
+    }
+
+    return view.errorBoundary.showError(error, errorPaths.get(error) || [ getViewName(view) ])
+}
+
+function isErrorBoundary(view) {
+    return typeof view.catchError === "function"
+}
+
+/**
+ * A function to render the children of the VNode step by step
+ * @param   {VNode}     node        VNode with the children to render
+ * @param   {Object}    options     Options of `renderSteps` for the children
+ * @returns {Iterator}
+ */
+function * renderChildrenSteps(node, { lastVNode, ignoreStateChange, side, styleSheet, sharedStyleSheet, environment, effects, errorBoundary }) {
+    var lastBody = lastVNode instanceof VNode && lastVNode.type === VNodeType.tag ? lastVNode.body : []
+    var sources = Reconciler.matchChildren(lastBody, node.body)
+
+    for (let i in node.body) {
+        if (node.body[i] instanceof View || node.body[i] instanceof VNode) {
+            node.body[i] = yield * renderSteps({
+                view: node.body[i],
+                saveVNode: true,
+                ignoreStateChange: ignoreStateChange,
+                side: side,
+                lastVNode: sources[i] >= 0 ? lastBody[sources[i]] : null,
+                styleSheet: styleSheet,
+                sharedStyleSheet: sharedStyleSheet,
+                environment: environment,
+                effects: effects,
+                errorBoundary: errorBoundary
+            })
+        } else {
+            throw new Error("Unexpected child passed")
+        }
+    }
+}
+
+/**
+ * A function to render the view to VNode step by step. It yields after each view is rendered, so the rendering can be continued later.
+ * If the rendering of the children of the error boundary fails, they are replaced with the fallback view of the boundary
+ * @param   {Object}     options    Options of `View.renderToVNode`
+ * @param   {Function[]} [options.effects] If specified, the changes of the views (`lastVNode` etc.) are saved there instead of being made right away
+ * @param   {View[]}     [options.ancestors] Views of the chain that returned the view from their bodies (the view that is rendered again by itself keeps them in its VNode)
+ * @returns {Iterator}   Iterator that returns the resulting VNode when it is done
+ */
+function * renderSteps({ view, saveVNode = false, ignoreStateChange = false, side = "client", lastVNode = null, styleSheet = defaultStyleSheet, sharedStyleSheet = null, environment = {}, effects = null, errorBoundary = null, ancestors = [] }) {
+    if (view instanceof VNode) {
+        return view
+    }
+
+    var views = ancestors.slice()
+
+    try {
+        var { node, environment: childEnvironment, reused } = renderViewChain({ view, views, ignoreStateChange, side, lastVNode, styleSheet, sharedStyleSheet, environment, effects })
+
+        views.forEach(view => {
+            view.errorBoundary = errorBoundary
+        })
+
+        yield
+
+        if (node != null && !reused) {
+            let boundary = views.filter(isErrorBoundary).pop()
+            let options = { lastVNode, ignoreStateChange, side, styleSheet, sharedStyleSheet, environment: childEnvironment, effects, errorBoundary: boundary || errorBoundary }
+
+            try {
+                yield * renderChildrenSteps(node, options)
+            } catch (error) {
+                let fallback = boundary !== undefined ? boundary.catchError(error, views.map(getViewName).concat(errorPaths.get(error) || [])) : null
+
+                if (fallback === null) {
+                    throw error
+                }
+
+                node.body = [ fallback ]
+                options.errorBoundary = errorBoundary
+                yield * renderChildrenSteps(node, options)
+            }
+        }
+    } catch (error) {
+        addToErrorPath(error, views)
+        throw error
+    }
+
+    if (saveVNode) {
+        runEffect(effects, () => {
+            views.forEach(view => {
+                view.lastVNode = node
+            })
+        })
+    }
+
+    return node
+}
+
+/**
+ * A function to call the rendering function and collect the promises that the rendered views wait for (see `View.waitFor`)
+ * @param   {Function}  render
+ * @returns {Object}    Result of the function and the promises
+ */
+function collectLoads(render) {
+    var promises = []
+    var lastPendingLoads = pendingLoads
+    pendingLoads = promises
+
+    try {
+        return { result: render(), promises }
+    } finally {
+        pendingLoads = lastPendingLoads
+    }
+}
+
+/**
+ * A function to render the view until none of the views waits for the data (see `View.waitFor`).
+ * Each rendering takes over the state of the previous one, so the views keep the entries of the data they got
+ * @param   {Object}    options Options of `View.renderToVNode`
+ * @returns {Promise<VNode>}
+ */
+async function renderWithData({ view, side, styleSheet, sharedStyleSheet, environment }) {
+    var node = null
+
+    while (true) {
+        let { result, promises } = collectLoads(() => View.renderToVNode({ view, ignoreStateChange: true, side, lastVNode: node, styleSheet, sharedStyleSheet, environment }))
+        node = result
+
+        if (promises.length === 0) {
+            return node
+        }
+
+        await Promise.all(promises)
+    }
+}
+
+/**
+ * A function to update the DOM of the view that is rendered again by itself.
+ * The previous VNode takes over the new one, as it is referenced from the body of the parent VNode
+ * @param {VNode} lastVNode
+ * @param {VNode} vNode
+ */
+function commitVNode(lastVNode, vNode) {
+    Reconciler.updateVNodeDOM(lastVNode, vNode)
+
+    vNodeRevisions.set(lastVNode, (vNodeRevisions.get(lastVNode) || 0) + 1)
+
+    if (lastVNode !== vNode) {
+        for (let key of Object.keys(lastVNode)) {
+            if (!(key in vNode)) {
+                delete lastVNode[key]
+            }
+        }
+
+        Object.assign(lastVNode, vNode)
+    }
+
+    lastVNode.views.forEach(view => {
+        view.lastVNode = lastVNode
+    })
+}
+
+function shouldYield(deadline) {
+    return deadline !== undefined && !deadline.didTimeout && deadline.timeRemaining() <= 0
+}
+
+/**
+ * A function to create the task that renders the view with its previous VNode until the deadline and
+ * commits the changes to the DOM at once when the rendering is done.
+ * If the view is updated by another task while it is rendered, the rendering is started again
+ * @param   {View}      view
+ * @returns {Function}  Function that receives the deadline and returns true when the task is done
+ */
+function createUpdateTask(view) {
+    var base, revision, effects, steps
+
+    const start = () => {
+        base = view.lastVNode
+        revision = vNodeRevisions.get(base)
+        effects = []
+        steps = renderSteps({ view, lastVNode: base, environment: view.inheritedEnvironment, effects, errorBoundary: view.errorBoundary, ancestors: base.views.slice(0, Math.max(base.views.indexOf(view), 0)) })
+    }
+
+    start()
+
+    return deadline => {
+        while (true) {
+            let step
+
+            try {
+                step = steps.next()
+            } catch (error) {
+                if (showErrorInBoundary(view, error)) {
+                    return true
+                }
+
+                throw error
+            }
+
+            if (step.done) {
+                if (!view.mounted) {
+                    return true
+                }
+
+                if (view.lastVNode !== base || vNodeRevisions.get(base) !== revision) {
+                    start()
+                    continue
+                }
+
+                effects.forEach(effect => effect())
+                commitVNode(base, step.value)
+
+                return true
+            }
+
+            if (shouldYield(deadline)) {
+                return false
+            }
+        }
+    }
+}
+
+/**
+ * A function to get the styles of the VNode that can not be inline (as the variants for `StyleSheet.getClassName`)
+ * @param   {VNode}     node
+ * @returns {Object[]}
+ */
+function getStyleVariants(node) {
+    var variants = []
+
+    for (let state in InteractionState) {
+        if (typeof node.stateStyles[state] === "object") {
+            variants.push({ selector: interactionStateToCssSelector(InteractionState[state]), styles: node.stateStyles[state] })
+        }
+    }
+
+    node.breakpointStyles.forEach(({ breakpoint, styles }) => {
+        variants.push({ media: breakpoint.toString(), styles })
+    })
+
+    return variants
+}
+
+/**
+ * A function to replace the styles of the VNode with the generated class.
+ * If the style sheet is not specified, only the styles that can not be inline are moved to the shared style sheet.
+ * On the server they are moved to the shared style sheet of the rendering, so the rules of one rendering do not get to the others
+ * @param {VNode}       node
+ * @param {StyleSheet}  [styleSheet]
+ * @param {String}      side                Side of the rendering (the shared style sheet is mounted on the client)
+ * @param {StyleSheet}  [sharedStyleSheet]  Shared style sheet of the rendering (`StyleSheet.shared` on the client by default)
+ */
+function moveStylesToStyleSheet(node, styleSheet, side, sharedStyleSheet = null) {
+    var variants = getStyleVariants(node)
+    var useInlineStyles = !(styleSheet instanceof StyleSheet)
+
+    if (useInlineStyles && variants.length === 0) {
+        return
+    }
+
+    if (useInlineStyles && sharedStyleSheet !== null) {
+        styleSheet = sharedStyleSheet
+    } else if (useInlineStyles && side === "server") {
+        // The rules are not collected, only the name of the class is generated
+        styleSheet = StyleSheet.createShared()
+    } else if (useInlineStyles) {
+        styleSheet = StyleSheet.shared
+
+        if (styleSheet.dom === null && side === "client" && typeof document !== "undefined" && document.head) {
+            styleSheet.mountTo(document.head)
+        }
+    }
+
+    var className = styleSheet.getClassName(useInlineStyles ? {} : node.styles, { variants, important: useInlineStyles })
+
+    if (className !== null) {
+        let classes = node.attributes.class ? [ node.attributes.class, className ] : [ className ]
+
+        // `node.attributes` and `node.styles` can be the same objects as the view's ones, so they are not changed
+        node.attributes = Object.assign({}, node.attributes, { class: classes.join(" ") })
+
+        if (!useInlineStyles) {
+            node.styles = {}
+        }
+    }
+}
+
 /**
  * A class to respresent the UI item
  * @class
@@ -42,18 +601,29 @@ export class View {
      */
     constructor (options) {
         this.lastVNode = null
+        this.mountWork = null
         this.mounted = false
         this.key = null
         this.styles = {}
         this.events = {}
         this.attributes = {}
+        this.stateStyles = {}
+        this.breakpointStyles = []
+        this.subscriptions = new Map()
+        this.selections = []
+        this.lastRender = null
+        this.appliedState = null
+        this.errorBoundary = null
+        this.providedEnvironment = {}
+        this.inheritedEnvironment = {}
+        this.environment = {}
         this.options = options || {}
         this.preferForceInvalidation = false
 
         this.state = new State((state = this.getInitialState(), action) => {
             switch (action.type) {
                 case "set":
-                    return Object.assign(state, action.value)
+                    return Object.assign({}, state, action.value)
                 default:
                     return state
             }
@@ -68,6 +638,11 @@ export class View {
         })
 
         this.state.set = (keys) => {
+            // The values set before the first rendering are applied by the parent (see `takeOverState`)
+            if (this.lastRender === null) {
+                this.appliedState = Object.assign({}, this.appliedState, keys)
+            }
+
             this.state.dispatch({ type: "set", value: keys })
         }
 
@@ -127,19 +702,41 @@ export class View {
         return {}
     }
 
+    /**
+     * A method to check if the view has to be rendered again. If it returns false, the previous VNode of the view is reused
+     * (the previous instance of the view is kept) and it is not compared with the DOM.
+     * Compare the inputs of the last rendering with `this.options`, `this.state.current` and `this.environment`
+     * @example
+     * class Avatar extends View {
+     *     shouldUpdate ({ options }) {
+     *         return options.url !== this.options.url
+     *     }
+     * }
+     * @param   {Object}    lastRender              Inputs of the last rendering
+     * @param   {Object}    lastRender.options      Options of the view
+     * @param   {Object}    lastRender.state        Value of the state
+     * @param   {Object}    lastRender.environment  Environment values
+     * @returns {Boolean}
+     */
+    shouldUpdate (lastRender) {
+        return true
+    }
+
     /**
      * A method that returns the body (content) of the view
      * @param {String} [side] Side of the rendering (`"server"`, `"client"` etc.)
      */
     getBody (side = "client") {
-        var { styles, attributes, events, key } = this
+        var { styles, attributes, events, key, stateStyles, breakpointStyles } = this
 
         return new VNode({
             key: key,
             tag: "div",
             styles: styles,
             events: events,
-            attributes: attributes
+            attributes: attributes,
+            stateStyles: stateStyles,
+            breakpointStyles: breakpointStyles
         }, this)
     }
 
@@ -154,6 +751,20 @@ export class View {
         }
     }
 
+    /**
+     * A method that the virtual DOM calls when the view is added to the DOM. It calls `handleMount`,
+     * the error thrown there is shown by the error boundary that contains the view
+     */
+    didMount () {
+        try {
+            this.handleMount()
+        } catch (error) {
+            if (!showErrorInBoundary(this, error)) {
+                throw error
+            }
+        }
+    }
+
     /**
      * A method called before unmounting
      */
@@ -189,18 +800,34 @@ export class View {
             throw new Error("The parent is not an instance of Node")
         }
 
-        Worker.addUnitOfWork(() => {
-            View.renderToVNode({ view: this, saveVNode: true })
+        // The view is rendered in parts while the browser is not busy and is added to the DOM at once
+        var effects = []
+        var steps = renderSteps({ view: this, saveVNode: true, environment: this.inheritedEnvironment, effects, errorBoundary: this.errorBoundary })
+
+        const work = deadline => {
+            while (!steps.next().done) {
+                if (shouldYield(deadline)) {
+                    return work
+                }
+            }
+
+            effects.forEach(effect => effect())
             this.lastVNode.mountTo(parent)
-            this.handleMount()
-        })
+        }
+
+        this.mountWork = Worker.addUnitOfWork(work)
     }
 
     /**
-     * A method to unmount the view
+     * A method to unmount the view. If the view is not mounted yet, the scheduled mounting is cancelled
      */
     unmount () {
         if (!this.mounted) {
+            if (this.mountWork !== null && !this.mountWork.isDone && !this.mountWork.isCancelled) {
+                this.mountWork.cancel()
+                return
+            }
+
             throw new Error("The view is not mounted")
         }
 
@@ -210,13 +837,12 @@ export class View {
     }
 
     /**
-     * A method to force reload the view
+     * A method to force reload the view. The updates are coalesced: the view is rerendered once
+     * even if it is invalidated several times before the update (or in `View.batchUpdates`)
      */
     invalidate () {
         if (this.mounted) {
-            Worker.addUnitOfWork(() => {
-                this.forceInvalidate()
-            })
+            scheduleUpdate(this)
         }
     }
 
@@ -225,11 +851,44 @@ export class View {
      */
     forceInvalidate () {
         if (this.mounted) {
-            let vNode = View.renderToVNode({ view: this })
-            Reconciler.updateVNodeDOM(this.lastVNode, vNode)
-            this.lastVNode = vNode
-            this.handleInvalidation()
+            // Without the deadline the task is done at once
+            createUpdateTask(this)()
+        }
+    }
+
+    /**
+     * A method to provide the environment values to the view and all of its descendants.
+     * If the view is mounted and the values are changed, the view is invalidated with its descendants
+     * @example
+     * new AppContent()
+     *     .setEnvironment({ locale: "en", accentColor: Colors.aero })
+     * @param {Object} values Environment values (key: value)
+     */
+    setEnvironment (values) {
+        var changed = false
+
+        for (let key in values) {
+            if (this.providedEnvironment[key] !== values[key]) {
+                this.providedEnvironment[key] = values[key]
+                changed = true
+            }
         }
+
+        if (changed && this.mounted) {
+            this.invalidate()
+        }
+
+        return this
+    }
+
+    /**
+     * A method to get the environment value provided by the view or its ancestors. Use it in `getBody`
+     * @param   {String} key            Name of the value
+     * @param   {*}      [defaultValue] Value that is returned if there is no such value in the environment
+     * @returns {*}
+     */
+    getEnvironment (key, defaultValue) {
+        return key in this.environment ? this.environment[key] : defaultValue
     }
 
     //
@@ -274,6 +933,150 @@ export class View {
         return this
     }
 
+    /**
+     * A method to set the styles that are applied only when the view is in the specific interaction state or the breakpoint matches the viewport
+     * @example
+     * new Button(new Text("Save"))
+     *     .setStylesFor(InteractionState.hover, style => style.setBackground({ color: Colors.aero }))
+     *
+     * new HStack(items)
+     *     .setStylesFor(Breakpoints.compact, style => style.applyCSS({ flexDirection: "column" }))
+     * @param {Symbol|Breakpoint}   condition   Item of the InteractionState enum or the breakpoint
+     * @param {Function}            apply       Function that receives the view to call the styling methods on (`setBackground`, `setOutline` etc.)
+     */
+    setStylesFor (condition, apply) {
+        if (typeof apply !== "function") {
+            return this
+        }
+
+        if (InteractionState.contains(condition)) {
+            let stateName = InteractionState.getIdentifier(condition)
+            let styler = new View()
+            apply(styler)
+
+            this.stateStyles[stateName] = Object.assign({}, this.stateStyles[stateName], styler.styles)
+        } else if (condition instanceof Breakpoint) {
+            let styler = new View()
+            apply(styler)
+
+            let item = this.breakpointStyles.find(item => item.breakpoint === condition)
+
+            if (item) {
+                Object.assign(item.styles, styler.styles)
+            } else {
+                this.breakpointStyles.push({ breakpoint: condition, styles: styler.styles })
+            }
+        }
+
+        return this
+    }
+
+    /**
+     * A method to check if the breakpoint matches the viewport. The view is invalidated when the result changes,
+     * so it can be used in `getBody` to change the content of the view (not only the styles)
+     * @param   {Breakpoint} breakpoint
+     * @returns {Boolean}
+     */
+    matches (breakpoint) {
+        if (!this.subscriptions.has(breakpoint)) {
+            this.subscriptions.set(breakpoint, breakpoint.subscribe(() => {
+                if (this.mounted && this.lastVNode.dom.isConnected) {
+                    this.invalidate()
+                } else {
+                    this.releaseSubscriptions()
+                }
+            }))
+        }
+
+        return breakpoint.matches()
+    }
+
+    /**
+     * A method to create the binding to the value of the state (to pass it to the control that changes it)
+     * @example
+     * new TextBox({ value: this.bind("name") })
+     * @param   {String}    key Name of the value in the state
+     * @returns {Binding}
+     */
+    bind (key) {
+        return new Binding({
+            get: () => this.state.get(key),
+            set: value => this.state.set({ [key]: value })
+        })
+    }
+
+    /**
+     * A method to get the value of the external state and bind the view to it. Use it in `getBody`.
+     * After the view is mounted, it is subscribed to the state and invalidated only when the selected value changes.
+     * The subscription is removed when the view is unmounted
+     * @example
+     * const store = new State(counterReducer)
+     *
+     * class Counter extends View {
+     *     getBody () {
+     *         return new Text(`Count: ${this.select(store, state => state.count)}`)
+     *     }
+     * }
+     * @param   {State}     state       State that is shared between the views. Its reducer must return a new object when the value changes
+     * @param   {Function}  [selector]  Function that receives the current value of the state and returns the part the view depends on
+     * @param   {Function}  [isEqual]   Function to compare the previous and the new selected values (strict equality by default)
+     * @returns {*} Selected value
+     */
+    select (state, selector = value => value, isEqual = Object.is) {
+        if (!(state instanceof State)) {
+            throw new Error("The state is not an instance of State")
+        }
+
+        var value = selector(state.current)
+        this.selections.push({ state, selector, isEqual, value })
+
+        return value
+    }
+
+    /**
+     * A method to subscribe the view to the states that were selected in the last rendering (and unsubscribe it from the rest of them).
+     * Called after the view is mounted or updated
+     */
+    attachSubscriptions () {
+        var states = new Set(this.selections.map(item => item.state))
+
+        this.subscriptions.forEach((unsubscribe, source) => {
+            if (source instanceof State && !states.has(source)) {
+                unsubscribe()
+                this.subscriptions.delete(source)
+            }
+        })
+
+        states.forEach(state => {
+            if (!this.subscriptions.has(state)) {
+                this.subscriptions.set(state, state.subscribe(() => {
+                    if (!(this.mounted && this.lastVNode.dom.isConnected)) {
+                        this.releaseSubscriptions()
+                    } else if (hasChangedSelections(this, state)) {
+                        this.invalidate()
+                    }
+                }))
+            }
+        })
+
+        // The states could be changed between the rendering and the mounting (when the rendering is sliced, for example)
+        if (hasChangedSelections(this)) {
+            this.invalidate()
+        }
+    }
+
+    /**
+     * A method to remove the listeners that the view added to the external sources (breakpoints, states etc.).
+     * Called when the view is unmounted or replaced with the new instance after the rerendering
+     */
+    releaseSubscriptions () {
+        this.subscriptions.forEach(unsubscribe => {
+            unsubscribe()
+        })
+
+        this.subscriptions.clear()
+    }
+
     /**
      * A method to set the handler for the event
      * @param {String}      event       Name of an event for which to add handler
@@ -285,7 +1088,16 @@ export class View {
                 this.events[event] = []
             }
 
-            this.events[event].push(handler)
+            this.events[event].push((...args) => View.batchUpdates(() => {
+                try {
+                    return handler(...args)
+                } catch (error) {
+                    // The error is shown by the error boundary that contains the view (if there is one)
+                    if (!showErrorInBoundary(this, error)) {
+                        throw error
+                    }
+                }
+            }, { priority: Priority.userBlocking }))
         }
 
         return this
@@ -538,12 +1350,68 @@ export class View {
 
     /**
      * A method to convert the view to HTML string
+     * @param {String}      [side]                  Side of the rendering (`"server"`, `"client"` etc.)
+     * @param {Object}      [options]
+     * @param {StyleSheet}  [options.styleSheet]    If specified, the styles are collected to the style sheet instead of the inline styles
+     * @param {StyleSheet}  [options.sharedStyleSheet]  Style sheet where the styles that can not be inline (interaction states and breakpoints) are collected if the styles are inline.
+     * Create it with `StyleSheet.createShared()` for each rendering on the server and add it to the page head (`StyleSheet.shared` is used on the client)
+     */
+    toString(side = "server", { styleSheet = null, sharedStyleSheet = null } = {}) {
+        var node = View.renderToVNode({ view: this, saveVNode: false, ignoreStateChange: true, side: side, styleSheet: styleSheet, sharedStyleSheet: sharedStyleSheet })
+        return node.toString()
+    }
+
+    /**
+     * A method to convert the view to the stream of HTML chunks.
+     * The views are rendered one by one while the stream is read, so the first chunks are available before the whole tree is rendered.
+     * The views that wait for the data (see `View.waitFor`) are streamed when the data is loaded.
+     * If there is no `dataCache` in the environment of the view, the cache is created for the rendering.
+     * Concatenated chunks are equal to the result of `toStringAsync`
+     * @example
+     * const { Readable } = require("stream")
+     * Readable.from(view.toStream()).pipe(response)
+     * @param   {String}        [side]                  Side of the rendering (`"server"`, `"client"` etc.)
+     * @param   {Object}        [options]
+     * @param   {StyleSheet}    [options.styleSheet]    If specified, the styles are collected to the style sheet (it is complete when the stream ends)
+     * @param   {StyleSheet}    [options.sharedStyleSheet]  Style sheet where the styles that can not be inline are collected if the styles are inline (see `toString`)
+     * @returns {AsyncIterator} Async iterator of HTML strings
+     */
+    async * toStream(side = "server", { styleSheet = null, sharedStyleSheet = null } = {}) {
+        var chunks = View.renderToChunks({ view: this, side: side, styleSheet: styleSheet, sharedStyleSheet: sharedStyleSheet, environment: { dataCache: new DataCache() }, waitForData: true })
+
+        for (let chunk of chunks) {
+            if (typeof chunk === "string") {
+                yield chunk
+            } else {
+                await chunk
+            }
+        }
+    }
+
+    /**
+     * A method to convert the view to HTML string after the data of the views is loaded (see `preload`).
+     * If there is no `dataCache` in the environment of the view, the cache is created for the rendering
+     * @param   {String}      [side]                  Side of the rendering (`"server"`, `"client"` etc.)
+     * @param   {Object}      [options]
+     * @param   {StyleSheet}  [options.styleSheet]    If specified, the styles are collected to the style sheet instead of the inline styles
+     * @param   {StyleSheet}  [options.sharedStyleSheet]  Style sheet where the styles that can not be inline are collected if the styles are inline (see `toString`)
+     * @returns {Promise<String>}
      */
-    toString(side = "server") {
-        var node = View.renderToVNode({ view: this, saveVNode: false, ignoreStateChange: true, side: side })
+    async toStringAsync(side = "server", { styleSheet = null, sharedStyleSheet = null } = {}) {
+        var node = await renderWithData({ view: this, side, styleSheet, sharedStyleSheet, environment: { dataCache: new DataCache() } })
         return node.toString()
     }
 
+    /**
+     * A method to load the data of the view and its descendants to the `dataCache` of the environment. The view is rendered until none of the views waits for the data (see `View.waitFor`),
+     * so the data of the views that appear after the loading is loaded too
+     * @param   {String}    [side]  Side of the rendering (`"server"`, `"client"` etc.)
+     * @returns {Promise}
+     */
+    async preload(side = "server") {
+        await renderWithData({ view: this, side, styleSheet: null, environment: this.inheritedEnvironment })
+    }
+
     /**
      * A method to clone styles, attributes and events of one view to this
      */
@@ -552,6 +1420,14 @@ export class View {
             this.styles = Object.assign(this.styles, typeof view.styles === "object" ? view.styles : {})
             this.attributes = Object.assign(this.styles, typeof view.styles === "object" ? view.attributes : {})
 
+            for (let state in view.stateStyles) {
+                this.stateStyles[state] = Object.assign({}, this.stateStyles[state], view.stateStyles[state])
+            }
+
+            view.breakpointStyles.forEach(({ breakpoint, styles }) => {
+                this.setStylesFor(breakpoint, style => Object.assign(style.styles, styles))
+            })
+
             for (let i in view.events) {
                 this.addHandlerFor(i, view.events[i])
             }
@@ -579,11 +1455,66 @@ export class View {
 
     /**
      * A method to make "alive" the DOM, generated using the server side rendering
-     * @param {Node} dom DOM node, generated using the server side rendering
+     * @param   {Node}      dom                     DOM node, generated using the server side rendering
+     * @param   {Object}    [options]
+     * @param   {Boolean}   [options.development]   If true, the differences between the server markup and the view are reported to the console
+     * @returns {Object[]}  List of mismatches between the server markup and the view (see `VNode.hydrate`)
      */
-    hydrate(dom) {
+    hydrate(dom, { development = false } = {}) {
         const node = View.renderToVNode({ view: this, saveVNode: true })
-        node.hydrate(dom)
+        const mismatches = node.hydrate(dom, { development })
+
+        if (development && mismatches.length > 0) {
+            console.warn("Server markup does not match the view: ", mismatches)
+        }
+
+        return mismatches
+    }
+
+    /**
+     * A function to call the function and update the views invalidated by it once after it returns.
+     * Event handlers are called this way automatically (with the user-blocking priority)
+     * @example
+     * View.batchUpdates(() => {
+     *     this.state.set({ loading: false })
+     *     this.state.set({ items })
+     * })
+     * @param   {Function}  func
+     * @param   {Object}    [options]
+     * @param   {Symbol}    [options.priority]  Priority of the update. Item of the Priority enum
+     * @returns {*} Result of the function
+     */
+    static batchUpdates(func, { priority = Priority.normal } = {}) {
+        batchPriority = batchDepth === 0 ? priority : higherPriority(batchPriority, priority)
+        ++batchDepth
+
+        try {
+            return func()
+        } finally {
+            --batchDepth
+
+            if (batchDepth === 0) {
+                scheduleFlush(batchPriority)
+            }
+        }
+    }
+
+    /**
+     * A function to make `preload` wait for the promise. Call it in `getBody` when the view shows the placeholder until the data is loaded
+     * @param {Promise} promise Promise that is resolved when the data is loaded (it should not be rejected)
+     */
+    static waitFor(promise) {
+        if (pendingLoads !== null) {
+            pendingLoads.push(promise)
+        }
+    }
+
+    /**
+     * A function to set the style sheet where the styles of the views are collected on the client (instead of the inline styles)
+     * @param {StyleSheet|null} styleSheet Style sheet (it should be mounted with `styleSheet.mountTo`). If null, the inline styles are used
+     */
+    static useStyleSheet(styleSheet) {
+        defaultStyleSheet = styleSheet instanceof StyleSheet ? styleSheet : null
     }
 
     /**
@@ -593,56 +1524,72 @@ export class View {
      * @param   {Boolean}    [options.saveVNode]          If specified, the vNode will be saved to the `view.lastVNode`
      * @param   {Boolean}    [options.ignoreStateChange]  If specified, the state change will be ignored
      * @param   {String}     [options.side]               Side of the rendering (`"server"`, `"client"` etc.)
+     * @param   {VNode}      [options.lastVNode]          Previous result of rendering. Views that match the views of the previous result take over their state
+     * @param   {StyleSheet} [options.styleSheet]         Style sheet where to move the styles (the one set with `View.useStyleSheet` by default)
+     * @param   {StyleSheet} [options.sharedStyleSheet]   Style sheet where to move the styles that can not be inline if the styles are inline (`StyleSheet.shared` on the client by default)
+     * @param   {Object}     [options.environment]        Environment values provided by the ancestors of the view
+     * @param   {View}       [options.errorBoundary]      Error boundary that contains the view
      * @returns {VNode}      Result of recursive rendering of view to virtual node
      */
-    static renderToVNode({ view, saveVNode = false, ignoreStateChange = false, side = "client" }) {
-        var node
+    static renderToVNode({ view, saveVNode = false, ignoreStateChange = false, side = "client", lastVNode = null, styleSheet = defaultStyleSheet, sharedStyleSheet = null, environment = {}, errorBoundary = null }) {
+        var steps = renderSteps({ view, saveVNode, ignoreStateChange, side, lastVNode, styleSheet, sharedStyleSheet, environment, errorBoundary })
+        var step
 
-        if (view instanceof VNode) {
-            node = view
-        } else {
-            node = view
-            let views = []
-            
-            while (node instanceof View) {
-                views.push(node)
-
-                if (ignoreStateChange) {
-                    const nodeStateSet = node.state.set
-                    node.state.set = () => {}
-                    
-                    let newNode = node.getBody(side)
-                    node.state.set = nodeStateSet
-                    node = newNode
-                } else {
-                    node = node.getBody(side)
-                }
-            }
+        do {
+            step = steps.next()
+        } while (!step.done)
 
-            if (node != null) {
-                if (!(node instanceof VNode)) {
-                    throw new Error("Expected a VNode as the result of rendering the View (the rendering is recursive, so the error can be in the parent class or in the child class)")
-                }
+        return step.value
+    }
 
-                node.view = views[views.length - 1]
-                for (let i in node.body) {
-                    if (node.body[i] instanceof View || node.body[i] instanceof VNode) {
-                        node.body[i] = View.renderToVNode({ view: node.body[i], saveVNode: true, ignoreStateChange: ignoreStateChange, side: side })
-                    } else {
-                        throw new Error("Unexpected child passed")
-                    }
-                }
+    /**
+     * A function to render view to HTML chunks, rendering the children only when the previous chunks are consumed.
+     * The state change is ignored
+     * @param   {Object}     options
+     * @param   {View|VNode} options.view     View to render
+     * @param   {String}     [options.side]         Side of the rendering (`"server"`, `"client"` etc.)
+     * @param   {StyleSheet} [options.styleSheet]   Style sheet where to move the styles
+     * @param   {StyleSheet} [options.sharedStyleSheet] Style sheet where to move the styles that can not be inline if the styles are inline
+     * @param   {Object}     [options.environment]  Environment values provided by the ancestors of the view
+     * @param   {Boolean}    [options.waitForData]  If true, the promise is yielded when the views wait for the data (see `View.waitFor`), and the views are rendered again after it is resolved
+     * @returns {Iterator}   Iterator of HTML strings (and the promises of the data if `waitForData` is true)
+     */
+    static * renderToChunks({ view, side = "server", styleSheet = null, sharedStyleSheet = null, environment = {}, waitForData = false }) {
+        var node = view
+
+        if (view instanceof View) {
+            let render = () => renderViewChain({ view, ignoreStateChange: true, side, styleSheet, sharedStyleSheet, environment })
+            let loads = collectLoads(render)
+
+            while (waitForData && loads.promises.length > 0) {
+                yield Promise.all(loads.promises)
+                loads = collectLoads(render)
             }
 
-            if (saveVNode) {
-                for (let i = 0; i < views.length; ++i) {
-                    views[i].lastVNode = node
-                }
+            ({ node, environment } = loads.result)
+        }
+
+        if (!(node instanceof VNode)) {
+            throw new Error("Unexpected child passed")
+        }
+
+        yield node.getOpeningTagString()
+
+        if (node.type === VNodeType.text || node.isVoidElement()) {
+            return
+        }
+
+        for (let child of node.body) {
+            if (view instanceof VNode && !(child instanceof VNode)) {
+                throw new Error("Unexpected child passed")
             }
+
+            yield * View.renderToChunks({ view: child, side: side, styleSheet: styleSheet, sharedStyleSheet: sharedStyleSheet, environment: environment, waitForData: waitForData })
         }
 
-        return node
+        if (node.getClosingTagString() !== "") {
+            yield node.getClosingTagString()
+        }
     }
-
 }
 
@@ -9,21 +9,121 @@
 // 
 
 import { VNode, VNodeType } from "./VNode"
-import { View } from "../Views/View"
+
+/**
+ * A function to find the longest increasing subsequence of the array (ignoring items that are less than 0)
+ * @param   {Number[]} array
+ * @returns {Number[]} Indexes of the items of the subsequence
+ */
+function longestIncreasingSubsequence(array) {
+    const predecessors = new Array(array.length)
+    const tails = []
+
+    for (let i = 0; i < array.length; ++i) {
+        if (array[i] < 0) {
+            continue
+        }
+
+        let low = 0
+        let high = tails.length
+
+        while (low < high) {
+            let middle = (low + high) >> 1
+
+            if (array[tails[middle]] < array[i]) {
+                low = middle + 1
+            } else {
+                high = middle
+            }
+        }
+
+        predecessors[i] = low > 0 ? tails[low - 1] : -1
+        tails[low] = i
+    }
+
+    const result = new Array(tails.length)
+
+    for (let i = tails.length - 1, index = tails[tails.length - 1]; i >= 0; --i) {
+        result[i] = index
+        index = predecessors[index]
+    }
+
+    return result
+}
 
 /**
  * A class that is used for reconcilation
  * @class
  */
 export class Reconciler {
+    /**
+     * A method to find the old child for each of the new children.
+     * Children with keys are matched by key, children without keys are matched in order
+     * @param   {Array<View|VNode>} lastBody    Children of the previous virtual node
+     * @param   {Array<View|VNode>} body        Children of the new virtual node
+     * @returns {Number[]}  Index of the matching old child for each new child (-1 if there is no such child)
+     */
+    static matchChildren (lastBody, body) {
+        const keyedIndexes = new Map()
+        const unkeyedIndexes = []
+
+        lastBody.forEach((child, index) => {
+            if (child !== null && child.key !== null && child.key !== undefined) {
+                keyedIndexes.set(child.key, index)
+            } else if (child !== null) {
+                unkeyedIndexes.push(index)
+            }
+        })
+
+        var unkeyedPosition = 0
+
+        return body.map(child => {
+            if (child === null) {
+                return -1
+            }
+
+            if (child.key !== null && child.key !== undefined) {
+                let index = keyedIndexes.get(child.key)
+                keyedIndexes.delete(child.key)
+                return index === undefined ? -1 : index
+            }
+
+            return unkeyedPosition < unkeyedIndexes.length ? unkeyedIndexes[unkeyedPosition++] : -1
+        })
+    }
+
     /**
      * A method to update the virtual node's DOM
-     * @param {VNode} lastVNode 
-     * @param {VNode} vNode 
+     * @param {VNode} lastVNode
+     * @param {VNode} vNode
      */
     static updateVNodeDOM (lastVNode, vNode) {
-        if (lastVNode.tag !== vNode.tag || lastVNode.type === VNodeType.text || vNode.type === VNodeType.text) {
+        // The VNode is reused if its views are not changed, so there is nothing to update
+        if (lastVNode === vNode) {
+            return
+        }
+
+        if (lastVNode.type !== vNode.type || lastVNode.tag !== vNode.tag) {
+            lastVNode.views.forEach(view => {
+                view.releaseSubscriptions()
+                view.handleUnmount()
+            })
+
             lastVNode.dom.replaceWith(vNode.toHTMLNode({ save: true }))
+
+            vNode.views.forEach(view => {
+                view.attachSubscriptions()
+                view.didMount()
+            })
+            return
+        }
+
+        if (vNode.type === VNodeType.text) {
+            if (lastVNode.text !== vNode.text) {
+                lastVNode.dom.nodeValue = vNode.text
+            }
+
+            vNode.dom = lastVNode.dom
             return
         }
 
@@ -34,13 +134,13 @@ export class Reconciler {
         }
 
         for (let i in vNode.styles) {
-            if (!(i in lastVNode.styles && lastVNode.styles[i].toString() === vNode.styles[i].toString())) {
+            if (!(i in lastVNode.styles && String(lastVNode.styles[i]) === String(vNode.styles[i]))) {
                 lastVNode.dom.style[i] = vNode.styles[i]
             }
         }
 
         for (let i in lastVNode.events) {
-            for (let j in vNode.events[i]) {
+            for (let j in lastVNode.events[i]) {
                 lastVNode.dom.removeEventListener(i, lastVNode.events[i][j])
             }
         }
@@ -60,53 +160,71 @@ export class Reconciler {
         }
 
         for (let i in vNode.attributes) {
-            if (!(i in lastVNode.attributes && lastVNode.attributes[i].toString() === vNode.attributes[i].toString())) {
-                lastVNode.dom.setAttribute(i, vNode.attributes[i])
+            if (!(i in lastVNode.attributes && String(lastVNode.attributes[i]) === String(vNode.attributes[i]))) {
+                VNode.setAttributeOf(lastVNode.dom, i, vNode.attributes[i])
             }
         }
 
-        if (lastVNode.body.length !== vNode.body.length) {
-            let keysUpdated = []
-            for (let i in lastVNode.body) {
-                let keyFound = false
-                for (let j in vNode.body) {
-                    if (vNode.body[j].key && lastVNode.body[i].key && lastVNode.body[i].key === vNode.body[j].key) {
-                        keyFound = true
-                        keysUpdated.push(vNode.body[j].key)
-                        this.updateVNodeDOM(lastVNode.body[i], vNode.body[j])
-                        break
-                    }
-                }
-                
-                if (!keyFound) {
-                    lastVNode.body[i].dom.parentNode.removeChild(lastVNode.body[i].dom)
-                }
+        vNode.dom = lastVNode.dom
+        this.updateChildren(lastVNode, vNode)
+
+        vNode.views.forEach(view => {
+            // The instances that replaced the previous ones get the DOM before their handlers are called
+            view.lastVNode = vNode
+            view.attachSubscriptions()
+            view.handleInvalidation()
+        })
+    }
+
+    /**
+     * A method to update the children of the virtual node's DOM.
+     * Children that are kept are moved only if they are not a part of the longest increasing subsequence of old positions
+     * @param {VNode} lastVNode
+     * @param {VNode} vNode
+     */
+    static updateChildren (lastVNode, vNode) {
+        const lastBody = lastVNode.body.filter(child => child !== null)
+        const body = vNode.body.filter(child => child !== null)
+        const sources = this.matchChildren(lastBody, body)
+        const used = new Array(lastBody.length).fill(false)
+
+        sources.forEach(index => {
+            if (index >= 0) {
+                used[index] = true
             }
+        })
 
-            for (let i in vNode.body) {
-                if (!vNode.body[i].key || (vNode.body[i].key && keysUpdated.indexOf(vNode.body[i].key) < 0)) {
-                    vNode.body[i].toHTMLNode({ save: true })
-                    if (i > 0) {
-                        vNode.body[i - 1].dom.parentNode.insertBefore(vNode.body[i].dom, vNode.body[i - 1].dom.nextSibling)
-                    } else {
-                        lastVNode.dom.prepend(vNode.body[i].dom)
-                    }
-
-                    if (vNode.body[i].view instanceof View) {
-                        vNode.body[i].view.handleMount()
-                    }
-                }
+        lastBody.forEach((child, index) => {
+            if (!used[index]) {
+                child.unmount()
             }
-        } else {
-            for (let i in vNode.body) {
-                this.updateVNodeDOM(lastVNode.body[i], vNode.body[i])
+        })
+
+        sources.forEach((index, i) => {
+            if (index >= 0) {
+                this.updateVNodeDOM(lastBody[index], body[i])
             }
-        }
+        })
 
-        vNode.dom = lastVNode.dom
-        if (vNode.view instanceof View) {
-            vNode.view.handleInvalidation()
+        const stable = new Set(longestIncreasingSubsequence(sources))
+        var anchor = null
+
+        for (let i = body.length - 1; i >= 0; --i) {
+            let child = body[i]
+
+            if (sources[i] < 0) {
+                child.toHTMLNode({ save: true })
+                vNode.dom.insertBefore(child.dom, anchor)
+
+                child.views.forEach(view => {
+                    view.attachSubscriptions()
+                    view.didMount()
+                })
+            } else if (!stable.has(i)) {
+                vNode.dom.insertBefore(child.dom, anchor)
+            }
+
+            anchor = child.dom
         }
     }
 }
-
@@ -10,6 +10,7 @@
 
 import { View } from "../Views/View"
 import { Enum } from "../Values/Enum"
+import { stylesToCSS } from "../Styles/StyleSheet"
 
 /**
  * A list of virtual node types
@@ -19,6 +20,20 @@ import { Enum } from "../Values/Enum"
  */
 export const VNodeType = new Enum("tag", "text")
 
+/**
+ * Names of the HTML elements that can not have children and the closing tag
+ */
+const voidElements = [ "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr" ]
+
+/**
+ * Names of the HTML attributes that are true when they are present
+ */
+const booleanAttributes = [
+    "allowfullscreen", "async", "autofocus", "autoplay", "checked", "controls", "default", "defer", "disabled",
+    "formnovalidate", "hidden", "ismap", "loop", "multiple", "muted", "nomodule", "novalidate", "open",
+    "playsinline", "readonly", "required", "reversed", "selected"
+]
+
 /**
  * A node of the Virtual DOM
  * @class
@@ -33,14 +48,18 @@ export class VNode {
      * @param {Object}              [options.styles]        Styles that will be applied to the real DOM node (key: value)
      * @param {Object}              [options.events]        Events of the real DOM node that will be handled by the handlers (key: handlers, where `handlers` is the array of functions)
      * @param {Object}              [options.attributes]    Attributes that will be applied to the real DOM node (key: value)
+     * @param {Object}              [options.stateStyles]   Styles that will be applied in the specific interaction state (key: identifier of the InteractionState item, value: styles)
+     * @param {Object[]}            [options.breakpointStyles]  Styles that will be applied when the breakpoint matches (items are `{ breakpoint, styles }`)
      * @param {View|null}           view                    The view (if this node is the result of rendering of view)
      */
-    constructor ({ text, tag, key, body, styles, events, attributes }, view = null) {
-        if (tag || body || styles || events || attributes) {
+    constructor ({ text, tag, key, body, styles, events, attributes, stateStyles, breakpointStyles }, view = null) {
+        if (tag || body || styles || events || attributes || stateStyles || breakpointStyles) {
             this.type = VNodeType.tag
             this.tag = tag || "div"
             this.body = Array.isArray(body) ? body : []
             this.styles = typeof styles === "object" ? styles : {}
+            this.stateStyles = typeof stateStyles === "object" ? stateStyles : {}
+            this.breakpointStyles = Array.isArray(breakpointStyles) ? breakpointStyles : []
             this.events = typeof events === "object" ? events : {}
             this.attributes = typeof attributes === "object" ? attributes : {}
         } else {
@@ -50,7 +69,8 @@ export class VNode {
 
         this.dom = null
         this.view = view
-        this.key = key || null
+        this.views = view ? [ view ] : []
+        this.key = key !== undefined && key !== null ? key : null
     }
 
     /**
@@ -98,7 +118,7 @@ export class VNode {
             }
 
             for (let i in this.attributes) {
-                result.setAttribute(i, this.attributes[i])
+                VNode.setAttributeOf(result, i, this.attributes[i])
             }
         }
 
@@ -126,9 +146,10 @@ export class VNode {
 
         parent.appendChild(this.dom)
 
-        if (this.view instanceof View) {
-            this.view.handleMount()
-        }
+        this.views.forEach(view => {
+            view.attachSubscriptions()
+            view.didMount()
+        })
     }
 
     /**
@@ -136,111 +157,318 @@ export class VNode {
      */
     unmount() {
         if (this.dom instanceof Node && this.dom.parentElement instanceof Node) {
-            if (this.view instanceof View) {
-                this.view.handleUnmount()
-            }
-
+            handleUnmountOf(this)
             this.dom.parentElement.removeChild(this.dom)
         }
     }
 
     /**
-     * A method to make "alive" the DOM, generated using the server side rendering
-     * @param {Node} dom DOM node, generated using the server side rendering
+     * A method to make "alive" the DOM, generated using the server side rendering.
+     * Matching text and element nodes are reused, other nodes are replaced, created or removed
+     * @param   {Node}      dom                         DOM node, generated using the server side rendering
+     * @param   {Object}    [options]
+     * @param   {Boolean}   [options.development]       If true, the differences between the server markup and the virtual node are reported
+     * @returns {Object[]}  List of mismatches (`path`, `type`, `expected`, `actual` and `attribute` for the attribute mismatches). Empty if not in the development mode
      */
-    hydrate(dom) {
-        if (this.type === VNodeType.tag) {
-            if (dom.tagName.toLowerCase() !== this.tag) {
-                this.toHTMLNode({ save: true })
-                dom.replaceWith(this.dom)
-            } else {
-                for (let i in this.styles) {
-                    dom.style[i] = this.styles[i]
-                }
-
-                for (let i in this.attributes) {
-                    dom.setAttribute(i, this.attributes[i])
-                }
+    hydrate(dom, { development = false } = {}) {
+        var context = { development, mismatches: [] }
+        hydrateNode(this, dom, dom.parentNode, context, [ getNodeName(this) ])
+        return context.mismatches
+    }
 
-                for (let event in this.events) {
-                    for (let handler in this.events[event]) {
-                        dom.addEventListener(event, this.events[event][handler])
-                    }
-                }
+    /**
+     * A method to convert the virtual node to HTML string
+     */
+    toString() {
+        if (this.type === VNodeType.text || this.isVoidElement()) {
+            return this.getOpeningTagString()
+        }
 
-                if (this.body.length !== dom.childNodes.length) {
-                    dom.innerHTML = ""
+        var bodyString = ""
 
-                    for (let i in this.body) {
-                        this.body[i].mountTo(dom)
-                    }
-                } else {
-                    for (let i in this.body) {
-                        this.body[i].hydrate(dom.childNodes[i])
-                    }
-                }
+        for (let child in this.body) {
+            if (!(this.body[child] instanceof VNode)) {
+                throw new Error("Unexpected child passed")
             }
-        } else if (this.type === VNodeType.text) {
-            dom.innerValue = this.text
-        } else {
-            throw new Error("Unexpected virtual node passed")
-        }
 
-        this.dom = dom
-
-        if (this.view) {
-            this.view.lastVNode = this
+            bodyString += this.body[child].toString()
         }
+
+        return this.getOpeningTagString() + bodyString + this.getClosingTagString()
     }
 
     /**
-     * A method to convert the virtual node to HTML string
+     * A method to get the opening tag of the virtual node as HTML string (or the escaped text if it is the text node)
+     * @returns {String}
      */
-    toString() {
+    getOpeningTagString() {
         if (this.type === VNodeType.text) {
-            return this.text
+            return escapeText(String(this.text))
         }
 
         var attributesString = ""
-        var stylesString = ""
-        var bodyString = ""
+        var stylesString = stylesToCSS(this.styles)
 
         for (let attribute in this.attributes) {
-            if (this.attributes[attribute] !== null && this.attributes[attribute] !== undefined) {
-                attributesString += `${attribute.toString()}="${this.attributes[attribute].toString()}"`
+            let value = this.attributes[attribute]
+
+            if (value === null || value === undefined || value === false || !isValidAttributeName(attribute)) {
+                continue
             }
-        }
 
-        for (let style in this.styles) {
-            if (this.styles[style] !== null && this.styles[style] !== undefined) {
-                stylesString += camelCaseToCSSStyle(style.toString()) + ":" + replaceQuotes(this.styles[style].toString()) + ";"
+            if (value === true || booleanAttributes.indexOf(attribute.toLowerCase()) >= 0) {
+                attributesString += ` ${attribute}`
+            } else {
+                attributesString += ` ${attribute}="${escapeAttribute(String(value))}"`
             }
         }
 
-        for (let child in this.body) {
-            if (!(this.body[child] instanceof VNode)) {
-                throw new Error("Unexpected child passed")
-                return null
+        if (stylesString !== "") {
+            attributesString += ` style="${escapeAttribute(stylesString)}"`
+        }
+
+        return `<${this.tag}${attributesString}>`
+    }
+
+    /**
+     * A method to get the closing tag of the virtual node as HTML string (empty for the text nodes and the void elements)
+     * @returns {String}
+     */
+    getClosingTagString() {
+        if (this.type === VNodeType.text || this.isVoidElement()) {
+            return ""
+        }
+
+        return `</${this.tag}>`
+    }
+
+    /**
+     * A method to check if the virtual node is the HTML element that can not have children (`img`, `input`, `br` etc.)
+     * @returns {Boolean}
+     */
+    isVoidElement() {
+        return this.type === VNodeType.tag && voidElements.indexOf(this.tag.toLowerCase()) >= 0
+    }
+
+    /**
+     * A method to set the attribute of the DOM node.
+     * If the value is `false`, `null` or `undefined`, the attribute is removed. If the value is `true`, the attribute is set without value
+     * @param {Element} dom     DOM node
+     * @param {String}  name    Name of the attribute
+     * @param {*}       value   Value of the attribute
+     */
+    static setAttributeOf(dom, name, value) {
+        if (value === null || value === undefined || value === false) {
+            dom.removeAttribute(name)
+        } else {
+            dom.setAttribute(name, value === true ? "" : value)
+        }
+    }
+}
+
+function handleUnmountOf(vNode) {
+    vNode.views.forEach(view => {
+        view.releaseSubscriptions()
+        view.handleUnmount()
+    })
+
+    if (vNode.type === VNodeType.tag) {
+        vNode.body.forEach(child => {
+            if (child instanceof VNode) {
+                handleUnmountOf(child)
             }
+        })
+    }
+}
 
-            bodyString += this.body[child].toString()
+function isSignificantNode(dom) {
+    return dom.nodeType === Node.ELEMENT_NODE || dom.nodeType === Node.TEXT_NODE
+}
+
+function nextSignificantNode(dom) {
+    while (dom && !isSignificantNode(dom)) {
+        dom = dom.nextSibling
+    }
+
+    return dom || null
+}
+
+function getNodeName(vNode) {
+    return vNode.type === VNodeType.text ? "#text" : vNode.tag
+}
+
+function getDOMNodeName(dom) {
+    return dom.nodeType === Node.TEXT_NODE ? "#text" : dom.nodeName.toLowerCase()
+}
+
+function reportMismatch(context, mismatch) {
+    if (context.development) {
+        context.mismatches.push(Object.assign({}, mismatch, { path: mismatch.path.join(" > ") }))
+    }
+}
+
+function getExpectedAttributes(vNode) {
+    var result = {}
+
+    for (let name in vNode.attributes) {
+        let value = vNode.attributes[name]
+
+        if (value !== null && value !== undefined && value !== false) {
+            result[name] = value === true || booleanAttributes.indexOf(name.toLowerCase()) >= 0 ? true : String(value)
+        }
+    }
+
+    return result
+}
+
+function hydrateAttributes(vNode, dom, context, path) {
+    var expected = getExpectedAttributes(vNode)
+
+    for (let name in expected) {
+        let actual = dom.getAttribute(name)
+
+        if (actual === null || (expected[name] !== true && actual !== expected[name])) {
+            reportMismatch(context, { path, type: "attribute", attribute: name, expected: expected[name], actual })
         }
 
-        return (`<${this.tag} ${attributesString} style='${stylesString}'>` + (["img", "br", "hr"].indexOf(this.tag) >= 0 ? "" : `${bodyString}</${this.tag}>`)).replace("  ", " ")
+        VNode.setAttributeOf(dom, name, vNode.attributes[name])
+    }
+
+    for (let attribute of Array.from(dom.attributes)) {
+        if (attribute.name !== "style" && !(attribute.name in expected)) {
+            reportMismatch(context, { path, type: "attribute", attribute: attribute.name, expected: null, actual: attribute.value })
+            dom.removeAttribute(attribute.name)
+        }
+    }
+}
+
+/**
+ * A function to compare the inline styles of the DOM node with the styles of the virtual node and to replace them if they differ.
+ * The styles are compared after they are parsed, so the order and the formatting of the declarations in the server markup are ignored
+ * @param {VNode}       vNode
+ * @param {Element}     dom
+ * @param {Object}      context
+ * @param {String[]}    path
+ */
+function hydrateStyles(vNode, dom, context, path) {
+    var expected = document.createElement(dom.tagName).style
+
+    for (let i in vNode.styles) {
+        expected[i] = vNode.styles[i] !== null && vNode.styles[i] !== undefined ? vNode.styles[i].toString() : ""
+    }
+
+    var properties = new Set(Array.from(expected).concat(Array.from(dom.style)))
+    var isMatching = Array.from(properties).every(property => {
+        return expected.getPropertyValue(property) === dom.style.getPropertyValue(property) && expected.getPropertyPriority(property) === dom.style.getPropertyPriority(property)
+    })
+
+    if (!isMatching) {
+        reportMismatch(context, { path, type: "attribute", attribute: "style", expected: expected.cssText || null, actual: dom.getAttribute("style") })
+
+        if (expected.cssText !== "") {
+            dom.setAttribute("style", expected.cssText)
+        } else {
+            dom.removeAttribute("style")
+        }
     }
 }
 
-function camelCaseToCSSStyle(str) {
-    // Convert words to lower case and add hyphens around it (for stuff like "&")
-    return str.replace(/[A-Z][a-z]*/g, str => '-' + str.toLowerCase() + '-')
-            // remove double hyphens
-            .replace('--', '-')
-            // remove hyphens at the beginning and the end
-            .replace(/(^-)|(-$)/g, '')
+/**
+ * A function to hydrate the DOM node with the virtual node
+ * @param   {VNode}     vNode       Virtual node
+ * @param   {Node|null} dom         DOM node, generated using the server side rendering (null if there is no such node)
+ * @param   {Node}      parentDOM   Parent of the DOM node
+ * @param   {Object}    context     Hydration options and the list of mismatches
+ * @param   {String[]}  path        Path to the virtual node (names of the nodes with their indexes)
+ * @returns {Node}      DOM node that represents the virtual node after hydration
+ */
+function hydrateNode(vNode, dom, parentDOM, context, path) {
+    if (vNode.type === VNodeType.text && vNode.text === "") {
+        // empty text is not present in the server markup
+        vNode.dom = document.createTextNode("")
+        parentDOM.insertBefore(vNode.dom, dom)
+        return vNode.dom
+    }
+
+    if (dom === null) {
+        reportMismatch(context, { path, type: "missing", expected: getNodeName(vNode), actual: null })
+        vNode.mountTo(parentDOM)
+        return vNode.dom
+    }
+
+    if (vNode.type === VNodeType.text && dom.nodeType === Node.TEXT_NODE) {
+        if (dom.data !== vNode.text && dom.data.startsWith(vNode.text)) {
+            // adjacent text nodes are merged by the HTML parser
+            dom.splitText(vNode.text.length)
+        } else if (dom.data !== vNode.text) {
+            reportMismatch(context, { path, type: "text", expected: vNode.text, actual: dom.data })
+            dom.data = vNode.text
+        }
+
+        vNode.dom = dom
+        return dom
+    }
+
+    if (vNode.type !== VNodeType.tag || dom.nodeType !== Node.ELEMENT_NODE || dom.tagName.toLowerCase() !== vNode.tag.toLowerCase()) {
+        reportMismatch(context, { path, type: "tag", expected: getNodeName(vNode), actual: getDOMNodeName(dom) })
+        dom.replaceWith(vNode.toHTMLNode({ save: true }))
+
+        vNode.views.forEach(view => {
+            view.attachSubscriptions()
+            view.didMount()
+        })
+
+        return vNode.dom
+    }
+
+    hydrateAttributes(vNode, dom, context, path)
+    hydrateStyles(vNode, dom, context, path)
+
+    for (let event in vNode.events) {
+        for (let handler of vNode.events[event]) {
+            if (typeof handler === "function") {
+                dom.addEventListener(event, handler)
+            }
+        }
+    }
+
+    var childDOM = nextSignificantNode(dom.firstChild)
+
+    for (let i = 0; i < vNode.body.length; ++i) {
+        if (!(vNode.body[i] instanceof VNode)) {
+            throw new Error("Unexpected virtual node passed")
+        }
+
+        let childPath = path.concat([ `${getNodeName(vNode.body[i])}[${i}]` ])
+        let hydrated = hydrateNode(vNode.body[i], childDOM, dom, context, childPath)
+        childDOM = childDOM === null ? null : nextSignificantNode(hydrated.nextSibling)
+    }
+
+    while (childDOM !== null) {
+        let next = nextSignificantNode(childDOM.nextSibling)
+        reportMismatch(context, { path, type: "extra", expected: null, actual: getDOMNodeName(childDOM) })
+        dom.removeChild(childDOM)
+        childDOM = next
+    }
+
+    vNode.dom = dom
+    vNode.views.forEach(view => {
+        view.lastVNode = vNode
+        view.attachSubscriptions()
+        view.didMount()
+    })
+
+    return dom
 }
 
-function replaceQuotes(str) {
-    return str.replace(/\\'/g, "'").replace(/'/g, '"').replace(/\\"/g, '"').replace(/"/g, "'")
+function escapeText(str) {
+    return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
 }
 
+function escapeAttribute(str) {
+    return escapeText(str).replace(/"/g, "&quot;").replace(/'/g, "&#39;")
+}
 
+function isValidAttributeName(name) {
+    return /^[^\s"'>\/=]+$/.test(name)
+}
@@ -8,46 +8,194 @@
 // See https://www.apache.org/licenses/LICENSE-2.0 for license information
 // 
 
-const workQueue = []
+import { Enum } from "./Values/Enum"
+
+/**
+ * @enum
+ * @property {Symbol} immediate     Work that is done as soon as the current task ends
+ * @property {Symbol} userBlocking  Work that is caused by the user input (done in the next task)
+ * @property {Symbol} normal        Work that is done when the browser is not busy (or after the timeout)
+ * @property {Symbol} idle          Work that is done only when the browser is not busy
+ */
+export const Priority = new Enum("immediate", "userBlocking", "normal", "idle")
+
+const priorities = [ Priority.immediate, Priority.userBlocking, Priority.normal, Priority.idle ]
+const lanes = priorities.map(() => [])
+const normalLane = priorities.indexOf(Priority.normal)
+
+var isMicrotaskRequested = false
+var isTaskRequested = false
+var isIdleCallbackRequested = false
+var isIdleCallbackTimeoutSet = false
+
+/**
+ * A function to get the higher of two priorities
+ * @param   {Symbol} first  Item of the Priority enum
+ * @param   {Symbol} second Item of the Priority enum
+ * @returns {Symbol}
+ */
+export function higherPriority(first, second) {
+    return priorities.indexOf(first) <= priorities.indexOf(second) ? first : second
+}
 
 function performWork (deadline) {
-    while (workQueue.length > 0 && (deadline.timeRemaining() > 0 || deadline.didTimeout)) {
-        (workQueue.shift())()
-    }
+    while (true) {
+        let lane = lanes.findIndex(units => units.length > 0)
+
+        // Work with the normal and the idle priorities is done only while the browser is not busy
+        if (lane < 0 || (lane >= normalLane && !(deadline.didTimeout || deadline.timeRemaining() > 0))) {
+            break
+        }
+
+        let unit = lanes[lane].shift()
+        unit.isDone = true
+
+        let continuation
 
-    if (workQueue.length > 0) {
-        requestDoingWork()
+        try {
+            // Work with the higher priorities is not interrupted
+            continuation = unit.func(lane < normalLane ? { didTimeout: true, timeRemaining: () => 0 } : deadline)
+        } catch (error) {
+            // The rest of the work is not blocked by the failed unit, it is done in the next slice
+            requestDoingWork({ isAfterError: true })
+            throw error
+        }
+
+        if (typeof continuation === "function" && !unit.isCancelled) {
+            unit.func = continuation
+            unit.isDone = false
+            lanes[lane].unshift(unit)
+        }
     }
+
+    requestDoingWork()
 }
 
-function requestDoingWork () {
-    if (!("requestIdleCallback" in window && typeof window.requestIdleCallback === "function")) {
-        // eslint-disable-next-line no-unused-vars
-        window.requestIdleCallback = function requestIdleCallback (work, { timeout }) {
-            work({
-                didTimeout: true,
-                timeRemaining: () => 0
-            })
+function hasIdleCallback () {
+    return typeof window !== "undefined" && typeof window.requestIdleCallback === "function"
+}
+
+/**
+ * A function to request the slice of the work that is scheduled
+ * @param {Object}  [options]
+ * @param {Boolean} [options.isAfterError] If true, the work is not done right away without requestIdleCallback (the error of the current slice is thrown first)
+ */
+function requestDoingWork ({ isAfterError = false } = {}) {
+    var lane = lanes.findIndex(units => units.length > 0)
+
+    if (lane < 0) {
+        return
+    }
+
+    if (!hasIdleCallback() && isAfterError) {
+        if (!isTaskRequested) {
+            isTaskRequested = true
+            setTimeout(() => {
+                isTaskRequested = false
+                performWork({ didTimeout: true, timeRemaining: () => 0 })
+            }, 0)
         }
+
+        return
+    }
+
+    if (!hasIdleCallback()) {
+        // Without requestIdleCallback (older browsers, test environments) the work is done right away
+        performWork({ didTimeout: true, timeRemaining: () => 0 })
+        return
     }
 
-    window.requestIdleCallback(performWork, { timeout: 500 })
+    if (lanes[0].length > 0 && !isMicrotaskRequested) {
+        isMicrotaskRequested = true
+        Promise.resolve().then(() => {
+            isMicrotaskRequested = false
+            performWork({ didTimeout: false, timeRemaining: () => 0 })
+        })
+    }
+
+    if (lanes[1].length > 0 && !isTaskRequested) {
+        isTaskRequested = true
+        setTimeout(() => {
+            isTaskRequested = false
+            performWork({ didTimeout: false, timeRemaining: () => 0 })
+        }, 0)
+    }
+
+    var needsTimeout = lanes[normalLane].length > 0
+
+    if ((lanes[normalLane].length > 0 || lanes[normalLane + 1].length > 0) && (!isIdleCallbackRequested || (needsTimeout && !isIdleCallbackTimeoutSet))) {
+        isIdleCallbackRequested = true
+        isIdleCallbackTimeoutSet = needsTimeout
+
+        window.requestIdleCallback(deadline => {
+            isIdleCallbackRequested = false
+            isIdleCallbackTimeoutSet = false
+            performWork(deadline)
+        }, needsTimeout ? { timeout: 500 } : {})
+    }
+}
+
+/**
+ * A class that represents the scheduled work. It is returned from `Worker.addUnitOfWork`
+ * @class
+ */
+export class UnitOfWork {
+    /**
+     * @param {Function} func       Function that does the work
+     * @param {Symbol}   priority   Item of the Priority enum
+     */
+    constructor (func, priority) {
+        this.func = func
+        this.priority = priority
+        this.isDone = false
+        this.isCancelled = false
+    }
+
+    /**
+     * A method to remove the work from the queue if it is not done yet
+     */
+    cancel () {
+        if (this.isDone || this.isCancelled) {
+            return
+        }
+
+        var lane = lanes[priorities.indexOf(this.priority)]
+        var index = lane.indexOf(this)
+
+        if (index >= 0) {
+            lane.splice(index, 1)
+        }
+
+        this.isCancelled = true
+    }
 }
 
 /**
- * A class that is used to schedule work 
+ * A class that is used to schedule work
  * @class
  */
 export class Worker {
     /**
-     * A method to schedule a call of the function
-     * @param {Function} func Function that will be called when the browser is not busy
+     * A method to schedule a call of the function. The work with the higher priority is done first.
+     * The function receives the deadline (`timeRemaining()` and `didTimeout`). If it returns a function, that function continues the work later
+     * @param   {Function}  func                    Function that will be called when the browser is not busy
+     * @param   {Object}    [options]
+     * @param   {Symbol}    [options.priority]      Item of the Priority enum
+     * @returns {UnitOfWork} Scheduled work that can be cancelled
      */
-    static addUnitOfWork (func) {
+    static addUnitOfWork (func, { priority = Priority.normal } = {}) {
         if (typeof func === "function") {
-            workQueue.push(func)
+            let unit = new UnitOfWork(func, Priority.contains(priority) ? priority : Priority.normal)
+            lanes[priorities.indexOf(unit.priority)].push(unit)
             requestDoingWork()
-            return workQueue[workQueue.length - 1]
+            return unit
         }
     }
+
+    /**
+     * A method to do all the scheduled work right away (in the order of priority). Useful in tests
+     */
+    static flush () {
+        performWork({ didTimeout: true, timeRemaining: () => Infinity })
+    }
 }
@@ -10,13 +10,15 @@
 
 import { expect } from "chai"
 import browserEnv from "browser-env"
-import { View, Text, VStack } from "../Sources/BonUI"
+import { View, Text, VStack, Button } from "../Sources/BonUI"
 
 browserEnv()
 
+var mountedTimes = 0
+
 class MyView extends View {
     handleMount() {
-        console.log("HI!!!")
+        mountedTimes += 1
     }
 
     getBody() {
@@ -45,15 +47,162 @@ class AppView extends View {
     }
 }
 
+class Row extends View {
+    getInitialState () {
+        return { clicks: 0 }
+    }
+
+    getBody () {
+        return new Text(`${this.options.name}: ${this.state.get("clicks")}`)
+    }
+}
+
+class ListView extends View {
+    getInitialState () {
+        return { names: [ "a", "b", "c", "d", "e" ] }
+    }
+
+    getBody () {
+        return (
+            new VStack(this.state.get("names").map(name => {
+                return new Row({ name }).setKey(name)
+            }))
+        )
+    }
+}
+
+class Toolbar extends View {
+    getInitialState () {
+        return { canSave: true }
+    }
+
+    getBody () {
+        return new VStack([
+            new Button(new Text("Save")).setActiveTo(this.state.get("canSave")),
+            new Row({ name: "saves" })
+        ])
+    }
+}
+
+class BusyToolbar extends View {
+    getInitialState () {
+        return { isBusy: true }
+    }
+
+    getBody () {
+        var button = new Button(new Text("Save"))
+
+        return new VStack([
+            this.state.get("isBusy") ? button.disable() : button
+        ])
+    }
+}
+
 const content = new AppView()
 content.mountTo(document.body)
 content.state.set({ text: "HI!" })
 
+const list = new ListView()
+list.mountTo(document.body)
+
+function rowNodes() {
+    return Array.from(list.lastVNode.dom.childNodes)
+}
+
 describe("Reconcilation", () => {
 
     it("must not remount items with key specified", () => {
-    //    expect(window.mountedTimes).to.equal(2)
+        expect(mountedTimes).to.equal(2)
+        expect(content.lastVNode.dom.childNodes.length).to.equal(3)
+        expect(content.lastVNode.dom.childNodes[0].textContent).to.equal("HI!")
     })
 
-})
+    it("must move DOM nodes of the reordered items instead of recreating them", () => {
+        const [ a, b, c, d, e ] = rowNodes()
+        list.state.set({ names: [ "e", "b", "c", "a", "d" ] })
+
+        const nodes = rowNodes()
+        expect(nodes).to.have.ordered.members([ e, b, c, a, d ])
+        expect(nodes.map(node => node.textContent)).to.deep.equal([ "e: 0", "b: 0", "c: 0", "a: 0", "d: 0" ])
+    })
+
+    it("must create and remove only the changed items", () => {
+        const [ e, , c, a ] = rowNodes()
+        list.state.set({ names: [ "a", "f", "c", "e" ] })
+
+        const nodes = rowNodes()
+        expect(nodes.length).to.equal(4)
+        expect(nodes[0]).to.equal(a)
+        expect(nodes[2]).to.equal(c)
+        expect(nodes[3]).to.equal(e)
+        expect(nodes[1].textContent).to.equal("f: 0")
+    })
+
+    it("must preserve the state of the reordered items", () => {
+        const row = list.lastVNode.body[2].views[0]
+        expect(row.options.name).to.equal("c")
+        row.state.set({ clicks: 3 })
+        expect(rowNodes()[2].textContent).to.equal("c: 3")
+
+        list.state.set({ names: [ "c", "a", "e" ] })
+        expect(rowNodes().map(node => node.textContent)).to.deep.equal([ "c: 3", "a: 0", "e: 0" ])
+    })
+
+    it("must keep the state that the new instance set itself when its parent is rendered again", () => {
+        const toolbar = new Toolbar()
+        toolbar.mountTo(document.body)
+
+        const button = () => toolbar.lastVNode.dom.querySelector("button")
+        const row = toolbar.lastVNode.body[1].views[0]
+
+        row.state.set({ clicks: 2 })
+        toolbar.state.set({ canSave: false })
+        expect(button().disabled).to.equal(true)
+        expect(toolbar.lastVNode.dom.textContent).to.contain("saves: 2")
 
+        toolbar.state.set({ canSave: true })
+        expect(button().disabled).to.equal(false)
+        expect(toolbar.lastVNode.dom.textContent).to.contain("saves: 2")
+    })
+
+    it("must reset the state applied by the parent when the new instance does not apply it", () => {
+        const toolbar = new BusyToolbar()
+        toolbar.mountTo(document.body)
+
+        const button = () => toolbar.lastVNode.dom.querySelector("button")
+        expect(button().disabled).to.equal(true)
+
+        toolbar.state.set({ isBusy: false })
+        expect(button().disabled).to.equal(false)
+
+        toolbar.state.set({ isBusy: true })
+        expect(button().disabled).to.equal(true)
+    })
+
+    it("must keep the state of the view returned from the body of the parent after it is rendered again by itself", () => {
+        class Card extends View {
+            getInitialState () {
+                return { title: "card" }
+            }
+
+            getBody () {
+                return new Row({ name: this.state.get("title") })
+            }
+        }
+
+        const card = new Card()
+        const root = document.createElement("div")
+        document.body.appendChild(root)
+        card.mountTo(root)
+
+        const row = card.lastVNode.views[1]
+        row.state.set({ clicks: 4 })
+        expect(card.lastVNode.views.slice(0, 2)).to.have.ordered.members([ card, row ])
+
+        card.state.set({ title: "updated card" })
+        expect(root.textContent).to.equal("updated card: 4")
+
+        root.remove()
+    })
+
+})
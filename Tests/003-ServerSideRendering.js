@@ -10,7 +10,7 @@
 
 import { expect } from "chai"
 import browserEnv from "browser-env"
-import { View, Text, ApplicationManager } from "../Sources/BonUI"
+import { View, Text, VStack, Image, VNode, ApplicationManager } from "../Sources/BonUI"
 
 class AppView extends View {
     getInitialState () {
@@ -27,13 +27,35 @@ class AppView extends View {
     }
 }
 
+class ListView extends View {
+    getBody () {
+        return (
+            new VStack([
+                new Text("First line\nSecond line"),
+                new AppView(),
+                new VStack([ new Text("Nested") ])
+            ])
+        )
+    }
+}
+
 const content = new AppView()
 const result = content.toString()
 
+async function readStream(stream) {
+    var chunks = []
+
+    for await (let chunk of stream) {
+        chunks.push(chunk)
+    }
+
+    return chunks
+}
+
 describe("Server side rendering", () => {
 
     it("must correctly render to HTML string", () => {
-        expect(result).to.equal(`<p style='user-select:none;margin:0;padding:0;'>Hello world!</p>`)
+        expect(result).to.equal(`<p style="user-select:none;margin:0;padding:0;">Hello world!</p>`)
     })
     
     it("must not update state when rendering from server, and not set mounted to true", () => {
@@ -41,4 +63,55 @@ describe("Server side rendering", () => {
         expect(content.mounted).to.equal(false)
     })
 
+    it("must stream the same HTML as the string rendering", async () => {
+        const list = new ListView()
+        const chunks = await readStream(list.toStream())
+
+        expect(chunks.length).to.be.above(1)
+        expect(chunks.join("")).to.equal(list.toString())
+    })
+
+    it("must render the children only when the stream is read", async () => {
+        var rendered = []
+
+        class Item extends View {
+            getBody () {
+                rendered.push(this.options.name)
+                return new Text(this.options.name)
+            }
+        }
+
+        const stream = new VStack([ new Item({ name: "a" }), new Item({ name: "b" }) ]).toStream()
+        await stream.next()
+        expect(rendered).to.deep.equal([])
+        await stream.next()
+        await stream.next()
+        expect(rendered).to.deep.equal([ "a" ])
+    })
+
+    it("must escape the text and the attribute values", () => {
+        const text = new Text(`<script>alert("&")</script>`)
+            .setAttributes({ title: `"quoted" & <tag>` })
+            .applyCSS({ fontFamily: `"Open Sans"` })
+
+        expect(text.toString()).to.equal(
+            `<p title="&quot;quoted&quot; &amp; &lt;tag&gt;" style="user-select:none;margin:0;padding:0;font-family:&quot;Open Sans&quot;;">` +
+            `&lt;script&gt;alert("&amp;")&lt;/script&gt;</p>`
+        )
+    })
+
+    it("must render boolean attributes and void elements", () => {
+        const node = new VNode({
+            tag: "div",
+            attributes: { hidden: "hidden", "data-flag": true, "data-off": false },
+            body: [
+                new VNode({ tag: "input", attributes: { type: "checkbox", checked: true } }),
+                new VNode({ tag: "br" })
+            ]
+        })
+
+        expect(node.toString()).to.equal(`<div hidden data-flag><input type="checkbox" checked><br></div>`)
+        expect(new Image({ url: "/image.png", altText: "Image" }).toString()).to.equal(`<img src="/image.png" alt="Image">`)
+    })
+
 })
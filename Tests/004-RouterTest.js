@@ -10,7 +10,7 @@
 
 import { expect } from "chai"
 import browserEnv from "browser-env"
-import { View, Text, Router, Route, ApplicationManager } from "../Sources/BonUI"
+import { View, Text, Router, Route, ApplicationManager, matchPath, parseQuery } from "../Sources/BonUI"
 
 class AppView extends View {
     getInitialState () {
@@ -48,28 +48,92 @@ var result = content.toString()
 describe("Router test", () => {
 
     it("must return home page if path is '/'", () => {
-        expect(result).to.equal(`<p style='user-select:none;margin:0;padding:0;'>Welcome to the home!</p>`)
+        expect(result).to.equal(`<p style="user-select:none;margin:0;padding:0;">Welcome to the home!</p>`)
     })
     
     it("must return articles page if path is '/articles'", () => {
         content.options.getPath = () => "/articles"
         result = content.toString()
-        expect(result).to.equal(`<p style='user-select:none;margin:0;padding:0;'>Welcome to articles page</p>`)
+        expect(result).to.equal(`<p style="user-select:none;margin:0;padding:0;">Welcome to articles page</p>`)
     })
 
     it("must return 'hello' article page if path is '/articles/hello'", () => {
         content.options.getPath = () => "/articles/hello"
         result = content.toString()
-        expect(result).to.equal(`<p style='user-select:none;margin:0;padding:0;'>Article: hello</p>`)
+        expect(result).to.equal(`<p style="user-select:none;margin:0;padding:0;">Article: hello</p>`)
     })
 
     it("must return the same result if path is '/something/[any path]'", () => {
         content.options.getPath = () => "/something"
         result = content.toString()
-        expect(result).to.equal(`<p style='user-select:none;margin:0;padding:0;'>Something</p>`)
+        expect(result).to.equal(`<p style="user-select:none;margin:0;padding:0;">Something</p>`)
         content.options.getPath = () => "/something/else"
         result = content.toString()
-        expect(result).to.equal(`<p style='user-select:none;margin:0;padding:0;'>Something</p>`)
+        expect(result).to.equal(`<p style="user-select:none;margin:0;padding:0;">Something</p>`)
     })
 
 })
+
+class RouteInfo extends View {
+    getBody () {
+        var route = this.getEnvironment("route")
+        return new Text(`${route.url} ${JSON.stringify(route.params)} ${JSON.stringify(route.query)}`)
+    }
+}
+
+function renderText(path) {
+    var html = new Router(path, [
+        new Route({ path: "/", view: new Text("Home") }),
+        new Route({ path: "/articles/:id", view: ({ params }) => new Text(`Article ${params.id}`) }),
+        new Route({ path: "/archive/:year/:month?", view: new RouteInfo() }),
+        new Route({ path: "/files/*", view: ({ params }) => new Text(`File ${params["*"]}`) }),
+        new Route({ path: "/c++", view: new Text("C++") }),
+        new Route({ path: "/users", exact: false, view: new Router([
+            new Route({ path: "/", view: new Text("Users") }),
+            new Route({ path: "/:name", view: new RouteInfo() })
+        ]) })
+    ], { notFound: new Text("Not found") }).toString()
+
+    return html.replace(/<[^>]*>/g, "")
+}
+
+describe("Route patterns", () => {
+    it("must pass the named parameters to the routed view", () => {
+        expect(renderText("/articles/42")).to.equal("Article 42")
+        expect(renderText("/articles/hello%20world")).to.equal("Article hello world")
+        expect(renderText("/articles/42/comments")).to.equal("Not found")
+    })
+
+    it("must match the optional parameters", () => {
+        expect(renderText("/archive/2020")).to.equal(`/archive/2020 {"year":"2020"} {}`)
+        expect(renderText("/archive/2020/04?sort=desc")).to.equal(`/archive/2020/04 {"year":"2020","month":"04"} {"sort":"desc"}`)
+    })
+
+    it("must match the rest of the path with the wildcard", () => {
+        expect(renderText("/files/docs/readme.md")).to.equal("File docs/readme.md")
+        expect(matchPath("/files/a/b", { path: "/files/*" }).url).to.equal("/files")
+    })
+
+    it("must escape the special characters of the path", () => {
+        expect(renderText("/c++")).to.equal("C++")
+        expect(renderText("/cc")).to.equal("Not found")
+    })
+
+    it("must match the prefix only by the whole segments", () => {
+        expect(matchPath("/something/else", { path: "/something", exact: false })).to.not.equal(null)
+        expect(matchPath("/somethingelse", { path: "/something", exact: false })).to.equal(null)
+    })
+
+    it("must match the nested routes relative to the parent route", () => {
+        expect(renderText("/users")).to.equal("Users")
+        expect(renderText("/users/alice?tab=posts")).to.equal(`/users/alice {"name":"alice"} {"tab":"posts"}`)
+    })
+
+    it("must render the not found view when none of the routes matches", () => {
+        expect(renderText("/unknown")).to.equal("Not found")
+    })
+
+    it("must parse the query string", () => {
+        expect(parseQuery("?tag=news&tag=sport&q=hello+world&empty")).to.deep.equal({ tag: [ "news", "sport" ], q: "hello world", empty: "" })
+    })
+})
@@ -0,0 +1,123 @@
+//
+// 005-HydrationTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, VStack, Button } from "../Sources/BonUI"
+
+browserEnv()
+
+var mountedTimes = 0
+
+class Counter extends View {
+    getInitialState () {
+        return { count: 0 }
+    }
+
+    handleMount () {
+        mountedTimes += 1
+    }
+
+    getBody () {
+        return (
+            new VStack([
+                new Text(`Count:\n${this.state.get("count")}`),
+                new Button(new Text("Add"))
+                    .setAttributes({ title: "Add one" })
+                    .addHandlerFor("click", () => {
+                        this.state.set({ count: this.state.get("count") + 1 })
+                    })
+            ])
+        )
+    }
+}
+
+function renderOnServer(html) {
+    const root = document.createElement("div")
+    root.innerHTML = html
+    document.body.appendChild(root)
+    return root
+}
+
+describe("Hydration", () => {
+
+    it("must reuse the server markup and make it interactive", () => {
+        const view = new Counter()
+        const root = renderOnServer(view.toString())
+        const stack = root.firstChild
+        const button = stack.lastChild
+
+        const mismatches = view.hydrate(stack, { development: true })
+
+        expect(mismatches).to.deep.equal([])
+        expect(view.mounted).to.equal(true)
+        expect(mountedTimes).to.equal(1)
+        expect(view.lastVNode.dom).to.equal(stack)
+        expect(view.lastVNode.body[1].dom).to.equal(button)
+
+        button.click()
+        expect(stack.firstChild.textContent).to.equal("Count:1")
+        expect(root.firstChild).to.equal(stack)
+    })
+
+    it("must report and fix the differences in development mode", () => {
+        const view = new Counter()
+        const root = renderOnServer(view.toString()
+            .replace("Count:", "Total:")
+            .replace(`title="Add one"`, `title="Remove"`)
+            .replace("</button>", "</button><span>extra</span>"))
+
+        const warn = console.warn
+        var warnings = []
+        console.warn = (...args) => warnings.push(args)
+        const mismatches = view.hydrate(root.firstChild, { development: true })
+        console.warn = warn
+
+        expect(warnings.length).to.equal(1)
+        expect(mismatches).to.deep.equal([
+            { path: "div > p[0] > #text[0]", type: "text", expected: "Count:", actual: "Total:" },
+            { path: "div > button[1]", type: "attribute", attribute: "title", expected: "Add one", actual: "Remove" },
+            { path: "div", type: "extra", expected: null, actual: "span" }
+        ])
+        expect(root.textContent).to.equal("Count:0Add")
+        expect(root.querySelector("button").getAttribute("title")).to.equal("Add one")
+        expect(root.querySelector("span")).to.equal(null)
+    })
+
+    it("must report and fix the differences of the inline styles", () => {
+        const view = new Counter()
+        const html = view.toString()
+        const root = renderOnServer(html
+            .replace("flex-direction:column;", "flex-direction:row;")
+            .replace(`<p style="user-select:none;margin:0;padding:0;">Count`, `<p style="padding:0;margin:0;user-select:none;">Count`))
+
+        const warn = console.warn
+        console.warn = () => {}
+        const mismatches = view.hydrate(root.firstChild, { development: true })
+        console.warn = warn
+
+        expect(mismatches).to.deep.equal([
+            { path: "div", type: "attribute", attribute: "style", expected: "display: flex; flex-direction: column;", actual: "display:flex;flex-direction:row;" }
+        ])
+        expect(root.firstChild.style.flexDirection).to.equal("column")
+        expect(root.innerHTML.replace(/style="[^"]*"/g, "")).to.equal(html.replace(/style="[^"]*"/g, ""))
+    })
+
+    it("must not report the differences when not in development mode", () => {
+        const view = new Counter()
+        const root = renderOnServer("<div><h1>Wrong</h1></div>")
+
+        expect(view.hydrate(root.firstChild)).to.deep.equal([])
+        expect(root.querySelector("h1")).to.equal(null)
+        expect(root.textContent).to.equal("Count:0Add")
+        expect(root.querySelector("button").getAttribute("type")).to.equal("button")
+    })
+
+})
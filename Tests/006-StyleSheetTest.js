@@ -0,0 +1,160 @@
+//
+// 006-StyleSheetTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, VStack, HStack, Button, StyleSheet, InteractionState, Colors, Breakpoint, Breakpoints } from "../Sources/BonUI"
+
+browserEnv()
+
+class AppView extends View {
+    getInitialState () {
+        return { lines: [ "First", "Second" ] }
+    }
+
+    getBody () {
+        return (
+            new VStack(this.state.get("lines").map(line => new Text(line)))
+                .setAttributes({ class: "app" })
+        )
+    }
+}
+
+describe("Style sheet", () => {
+
+    it("must collect identical styles into one class when rendering to string", () => {
+        const styleSheet = new StyleSheet()
+        const result = new AppView().toString("server", { styleSheet })
+        const textClass = styleSheet.getClassName({ userSelect: "none", margin: 0, padding: 0 })
+        const stackClass = styleSheet.getClassName({ display: "flex", flexDirection: "column" })
+
+        expect(result).to.equal(`<div class="app ${stackClass}"><p class="${textClass}">First</p><p class="${textClass}">Second</p></div>`)
+        expect(styleSheet.toString()).to.equal(`.${stackClass}{display:flex;flex-direction:column;}.${textClass}{user-select:none;margin:0;padding:0;}`)
+        expect(styleSheet.toHTMLString()).to.equal(`<style data-bon-ui-styles="bon-">${styleSheet.toString()}</style>`)
+    })
+
+    it("must add the new rules to the mounted style sheet on the client", () => {
+        const styleSheet = new StyleSheet()
+        styleSheet.mountTo(document.head)
+        View.useStyleSheet(styleSheet)
+
+        const content = new AppView()
+        content.mountTo(document.body)
+        View.useStyleSheet(null)
+
+        const paragraph = content.lastVNode.dom.firstChild
+        expect(paragraph.getAttribute("style")).to.equal(null)
+        expect(paragraph.className).to.match(/^bon-[a-z0-9]+$/)
+        expect(styleSheet.dom.parentNode).to.equal(document.head)
+        expect(styleSheet.dom.textContent).to.equal(styleSheet.toString())
+    })
+
+    it("must reuse the style sheet rendered on the server", () => {
+        const serverStyleSheet = new StyleSheet()
+        const html = new AppView().toString("server", { styleSheet: serverStyleSheet })
+        const root = document.createElement("div")
+        root.innerHTML = serverStyleSheet.toHTMLString() + html
+
+        const styleSheet = new StyleSheet()
+        styleSheet.mountTo(root)
+        styleSheet.getClassName({ color: "red" })
+
+        expect(root.querySelectorAll("style").length).to.equal(1)
+        expect(styleSheet.dom.textContent).to.equal(serverStyleSheet.toString() + `.${styleSheet.getClassName({ color: "red" })}{color:red;}`)
+    })
+
+    it("must render the interaction state styles to the shared style sheet of the rendering when the styles are inline", () => {
+        const text = new Text("Hover me")
+            .setStylesFor(InteractionState.hover, style => style.setForeground({ color: Colors.white }))
+            .setStylesFor(InteractionState.focusVisible, style => style.setOutline({ all: 2 }))
+        const sharedStyleSheet = StyleSheet.createShared()
+        const result = text.toString("server", { sharedStyleSheet })
+        const className = result.match(/class="(bon-shared-[a-z0-9]+)"/)[1]
+
+        expect(result).to.equal(`<p class="${className}" style="user-select:none;margin:0;padding:0;">Hover me</p>`)
+        expect(sharedStyleSheet.rules.get(className)).to.equal(
+            `.${className}:hover{color:rgba(255, 255, 255, 1) !important;}` +
+            `.${className}:focus-visible{border-width:2px !important;}`
+        )
+        expect(StyleSheet.shared.rules.has(className)).to.equal(false)
+
+        // The rules of the rendering without the shared style sheet are not kept
+        const otherClassName = new Text("Hover me").setStylesFor(InteractionState.hover, style => style.applyCSS({ color: "red" })).toString().match(/class="(bon-shared-[a-z0-9]+)"/)[1]
+        expect(StyleSheet.shared.rules.has(otherClassName)).to.equal(false)
+    })
+
+    it("must put the interaction state styles into the same class when the style sheet is used", () => {
+        const styleSheet = new StyleSheet()
+        const result = new Button(new Text("OK")).disable().toString("server", { styleSheet })
+        const className = result.match(/^<button disabled type="button" class="(bon-[a-z0-9]+)">/)[1]
+        const rule = styleSheet.rules.get(className)
+
+        expect(rule.indexOf(`.${className}{outline:none;`)).to.equal(0)
+        expect(rule).to.contain(`.${className}:hover{background-color:var(--bon-color-control-highlight, rgba(77, 108, 250, 0.1));}`)
+        expect(rule).to.contain(`.${className}[disabled]{opacity:0.5;cursor:not-allowed;background-color:var(--bon-color-control-background, rgba(255, 255, 255, 1));}`)
+        expect(rule.indexOf(":hover")).to.be.below(rule.indexOf("[disabled]"))
+    })
+
+    it("must mount the shared style sheet on the client", () => {
+        const button = new Button(new Text("OK"))
+        button.mountTo(document.body)
+
+        expect(StyleSheet.shared.dom.parentNode).to.equal(document.head)
+        expect(StyleSheet.shared.dom.textContent).to.contain(`.${button.lastVNode.dom.className}:active{`)
+    })
+
+    it("must render the breakpoint styles as media queries", () => {
+        const styleSheet = new StyleSheet()
+        const stack = new HStack([ new Text("A"), new Text("B") ])
+            .setPadding({ all: 20 })
+            .setStylesFor(Breakpoints.compact, style => style.setPadding({ all: 5 }).applyCSS({ flexDirection: "column" }))
+        const className = stack.toString("server", { styleSheet }).match(/^<div class="(bon-[a-z0-9]+)">/)[1]
+
+        expect(styleSheet.rules.get(className)).to.equal(
+            `.${className}{padding:20px;display:flex;}` +
+            `@media (max-width:599px){.${className}{padding:5px;flex-direction:column;}}`
+        )
+        expect(new Breakpoint({ minWidth: 600, maxWidth: 1099 }).toString()).to.equal("(min-width:600px) and (max-width:1099px)")
+    })
+
+    it("must invalidate the view when the breakpoint starts or stops matching", () => {
+        var width = 500
+        var listeners = []
+
+        window.matchMedia = query => ({
+            matches: query === Breakpoints.compact.toString() && width < 600,
+            addEventListener: (event, listener) => listeners.push(listener),
+            removeEventListener: (event, listener) => {
+                listeners = listeners.filter(item => item !== listener)
+            }
+        })
+
+        class Layout extends View {
+            getBody () {
+                return new Text(this.matches(Breakpoints.compact) ? "compact" : "wide")
+            }
+        }
+
+        const layout = new Layout()
+        layout.mountTo(document.body)
+        expect(layout.lastVNode.dom.textContent).to.equal("compact")
+        expect(listeners.length).to.equal(1)
+
+        width = 800
+        listeners.forEach(listener => listener())
+        expect(layout.lastVNode.dom.textContent).to.equal("wide")
+        expect(listeners.length).to.equal(1)
+
+        layout.lastVNode.unmount()
+        expect(listeners.length).to.equal(0)
+        delete window.matchMedia
+    })
+
+})
@@ -0,0 +1,68 @@
+//
+// 007-EnvironmentTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, VStack } from "../Sources/BonUI"
+
+browserEnv()
+
+class Greeting extends View {
+    getInitialState () {
+        return { name: "world" }
+    }
+
+    getBody () {
+        const greeting = this.getEnvironment("locale") === "fr" ? "Bonjour" : "Hello"
+        return new Text(`${greeting}, ${this.state.get("name")}${this.getEnvironment("punctuation", "!")}`)
+    }
+}
+
+class Page extends View {
+    getBody () {
+        return (
+            new VStack([
+                new Greeting(),
+                new VStack([ new Greeting() ])
+                    .setEnvironment({ punctuation: "?" })
+            ])
+        )
+    }
+}
+
+describe("Environment", () => {
+
+    it("must provide the values to the descendants", () => {
+        const page = new Page().setEnvironment({ locale: "fr" })
+        expect(page.toString()).to.equal(new VStack([
+            new Text("Bonjour, world!"),
+            new VStack([ new Text("Bonjour, world?") ])
+        ]).toString())
+    })
+
+    it("must rerender the descendants when the provided value changes", () => {
+        const page = new Page().setEnvironment({ locale: "en" })
+        page.mountTo(document.body)
+        expect(page.lastVNode.dom.textContent).to.equal("Hello, world!Hello, world?")
+
+        page.setEnvironment({ locale: "fr" })
+        expect(page.lastVNode.dom.textContent).to.equal("Bonjour, world!Bonjour, world?")
+    })
+
+    it("must keep the environment when the descendant is invalidated by itself", () => {
+        const page = new Page().setEnvironment({ locale: "fr" })
+        page.mountTo(document.body)
+
+        const nestedGreeting = page.lastVNode.body[1].body[0].views[0]
+        nestedGreeting.state.set({ name: "Alice" })
+        expect(page.lastVNode.dom.textContent).to.equal("Bonjour, world!Bonjour, Alice?")
+    })
+
+})
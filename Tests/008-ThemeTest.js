@@ -0,0 +1,71 @@
+//
+// 008-ThemeTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { Button, Text, TextBox, Theme, Themes, ThemeColors, ThemeFonts, ColorScheme, Colors } from "../Sources/BonUI"
+
+browserEnv()
+
+describe("Theme", () => {
+    afterEach(() => {
+        Theme.use({ light: Themes.light, dark: Themes.dark })
+        Theme.setColorScheme(ColorScheme.auto)
+        document.head.innerHTML = ""
+    })
+
+    it("must make the built-in controls use the theme colors", () => {
+        const html = new Button(new Text("Click")).toString()
+
+        expect(html).to.contain("color:var(--bon-color-primary, rgba(77, 108, 250, 1))")
+        expect(html).to.contain("background-color:var(--bon-color-control-background, rgba(255, 255, 255, 1))")
+    })
+
+    it("must make the built-in controls use the theme fonts with the font of the theme as a fallback", () => {
+        const font = "var(--bon-font-body, 400 18px sans-serif)"
+
+        expect(ThemeFonts.body.toString()).to.equal(font)
+        expect(ThemeFonts.monospace.toString()).to.equal("var(--bon-font-monospace, 400 16px monospace)")
+        expect(new Button(new Text("Click")).toString()).to.contain(`font:${font}`)
+        expect(new TextBox({}).toString()).to.contain(`font:${font}`)
+    })
+
+    it("must follow the color scheme of the browser by default", () => {
+        const css = Theme.toCSS()
+
+        expect(css.startsWith(`:root{${Themes.light.toCSSVariables()}}`)).to.be.true
+        expect(css).to.contain(`@media (prefers-color-scheme:dark){:root{${Themes.dark.toCSSVariables()}}}`)
+        expect(Theme.toHTMLString()).to.equal(`<style data-bon-ui-theme>${css}</style>`)
+    })
+
+    it("must render only the chosen theme when the color scheme is set", () => {
+        expect(Theme.toCSS({ colorScheme: ColorScheme.dark })).to.equal(`:root{${Themes.dark.toCSSVariables()}}`)
+
+        Theme.setColorScheme(ColorScheme.light)
+        expect(Theme.toCSS()).to.equal(`:root{${Themes.light.toCSSVariables()}}`)
+        expect(Theme.current).to.equal(Themes.light)
+    })
+
+    it("must update the mounted theme when it is changed at runtime", () => {
+        document.head.innerHTML = Theme.toHTMLString()
+        const style = document.head.querySelector("style[data-bon-ui-theme]")
+
+        Theme.mountTo(document.head)
+        expect(document.head.querySelectorAll("style").length).to.equal(1)
+
+        Theme.setColorScheme(ColorScheme.dark)
+        expect(style.textContent).to.equal(`:root{${Themes.dark.toCSSVariables()}}`)
+
+        const custom = Themes.dark.with({ colors: { primary: Colors.princetonOrange } })
+        Theme.use({ dark: custom })
+        expect(style.textContent).to.contain(`--bon-color-primary:${Colors.princetonOrange};`)
+        expect(ThemeColors.primary.toString()).to.equal(`var(--bon-color-primary, ${Colors.ultramarineBlue})`)
+    })
+})
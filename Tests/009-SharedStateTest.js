@@ -0,0 +1,88 @@
+//
+// 009-SharedStateTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, VStack, State } from "../Sources/BonUI"
+
+browserEnv()
+
+function createStore() {
+    return new State((state = { count: 0, title: "Counter" }, action) => {
+        switch (action.type) {
+            case "increment":
+                return Object.assign({}, state, { count: state.count + 1 })
+            case "rename":
+                return Object.assign({}, state, { title: action.title })
+            default:
+                return state
+        }
+    })
+}
+
+class Counter extends View {
+    constructor (store) {
+        super()
+        this.store = store
+        this.renders = 0
+    }
+
+    getBody () {
+        ++this.renders
+        return new Text(`Count: ${this.select(this.store, state => state.count)}`)
+    }
+}
+
+describe("Shared state", () => {
+    it("must rerender the views bound to the state when the selected value changes", () => {
+        const store = createStore()
+        const first = new Counter(store)
+        const second = new Counter(store)
+        const root = document.createElement("div")
+        document.body.appendChild(root)
+
+        new VStack([ first, second ]).mountTo(root)
+        store.dispatch({ type: "increment" })
+
+        expect(root.textContent).to.equal("Count: 1Count: 1")
+        expect(first.renders).to.equal(2)
+        expect(second.renders).to.equal(2)
+
+        store.dispatch({ type: "rename", title: "Clicks" })
+
+        expect(first.renders).to.equal(2)
+        expect(second.renders).to.equal(2)
+
+        root.remove()
+    })
+
+    it("must unsubscribe the view from the state when it is unmounted", () => {
+        const store = createStore()
+        const counter = new Counter(store)
+        const root = document.createElement("div")
+        document.body.appendChild(root)
+
+        counter.mountTo(root)
+        expect(store._listeners.length).to.equal(1)
+
+        counter.unmount()
+        expect(store._listeners.length).to.equal(0)
+
+        root.remove()
+    })
+
+    it("must not subscribe the view when it is rendered on the server", () => {
+        const store = createStore()
+        store.dispatch({ type: "increment" })
+
+        expect(new Counter(store).toString()).to.contain(">Count: 1</p>")
+        expect(store._listeners.length).to.equal(0)
+    })
+})
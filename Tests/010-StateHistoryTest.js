@@ -0,0 +1,157 @@
+//
+// 010-StateHistoryTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { State, StateActionType, thunkMiddleware, promiseMiddleware, createLoggerMiddleware, createPersistenceMiddleware, createDevToolsMiddleware, readPersistedState } from "../Sources/BonUI"
+
+browserEnv()
+
+function reducer(state = { value: 0 }, action) {
+    switch (action.type) {
+        case "add":
+            return { value: state.value + action.value }
+        default:
+            return state
+    }
+}
+
+describe("State middleware and history", () => {
+    it("must pass the actions through the middleware in order", async () => {
+        const logged = []
+        const store = new State(reducer, {
+            middleware: [ thunkMiddleware, promiseMiddleware, createLoggerMiddleware({ log: (...args) => logged.push(args[1].type) }) ]
+        })
+
+        store.dispatch((dispatch, state) => {
+            dispatch({ type: "add", value: state.current.value + 1 })
+        })
+        await store.dispatch(Promise.resolve({ type: "add", value: 2 }))
+
+        expect(store.current.value).to.equal(3)
+        expect(logged).to.deep.equal([ "add", "add" ])
+    })
+
+    it("must save the state to the storage and read it back", () => {
+        const items = new Map()
+        const storage = { getItem: key => items.has(key) ? items.get(key) : null, setItem: (key, value) => items.set(key, value) }
+        const options = { key: "counter", storage }
+        const store = new State(reducer, { middleware: [ createPersistenceMiddleware(options) ] })
+
+        store.dispatch({ type: "add", value: 5 })
+
+        const restored = new State(reducer, { initialState: readPersistedState(options) })
+        expect(restored.current.value).to.equal(5)
+    })
+
+    it("must undo and redo the actions", () => {
+        const store = new State(reducer, { history: true })
+        var notifications = 0
+        store.subscribe(() => ++notifications)
+
+        store.dispatch({ type: "add", value: 1 })
+        store.dispatch({ type: "add", value: 2 })
+        store.undo()
+
+        expect(store.current.value).to.equal(1)
+        expect(store.canRedo).to.be.true
+
+        store.redo()
+        expect(store.current.value).to.equal(3)
+
+        store.undo()
+        store.dispatch({ type: "add", value: 10 })
+
+        expect(store.current.value).to.equal(11)
+        expect(store.canRedo).to.be.false
+        expect(store.history.length).to.equal(3)
+        expect(notifications).to.equal(6)
+    })
+
+    it("must travel through the history and replay it", () => {
+        const store = new State(reducer, { history: { limit: 3 } })
+
+        for (let i = 1; i <= 3; ++i) {
+            store.dispatch({ type: "add", value: i })
+        }
+
+        expect(store.history.map(action => action.value)).to.deep.equal([ 1, 2, 3 ])
+
+        store.jumpTo(0)
+        expect(store.current.value).to.equal(1)
+
+        store.replay((state, action) => action.type === "add" ? { value: state.value + action.value * 10 } : state)
+        expect(store.current.value).to.equal(1)
+
+        store.jumpTo(2)
+        expect(store.current.value).to.equal(51)
+        expect(() => store.jumpTo(3)).to.throw()
+    })
+
+    it("must pass the undo, the redo and the time travel through the middleware", () => {
+        const items = new Map()
+        const storage = { getItem: key => items.has(key) ? items.get(key) : null, setItem: (key, value) => items.set(key, value) }
+        const options = { key: "counter", storage }
+        const logged = []
+        const store = new State(reducer, {
+            history: true,
+            middleware: [ createLoggerMiddleware({ log: (...args) => logged.push(args[1]) }), createPersistenceMiddleware(options) ]
+        })
+
+        store.dispatch({ type: "add", value: 1 })
+        store.dispatch({ type: "add", value: 2 })
+        store.undo()
+        expect(readPersistedState(options).value).to.equal(1)
+
+        store.redo()
+        expect(readPersistedState(options).value).to.equal(3)
+
+        store.jumpTo(0)
+        expect(readPersistedState(options).value).to.equal(0)
+        expect(logged.map(action => action.type)).to.deep.equal([ "add", "add", StateActionType.jump, StateActionType.jump, StateActionType.jump ])
+        expect(logged.slice(2).map(action => action.index)).to.deep.equal([ 1, 2, 0 ])
+        expect(store.history.length).to.equal(3)
+    })
+
+    it("must send the actions to the devtools and restore the states picked in them", () => {
+        const sent = []
+        var initialState = null
+        var listener = null
+        const extension = {
+            connect: () => ({
+                init: state => initialState = state,
+                send: (action, state) => sent.push([ action.type, state.value ]),
+                subscribe: callback => listener = callback
+            })
+        }
+        const store = new State(reducer, { history: true, middleware: [ createDevToolsMiddleware({ extension }) ] })
+
+        store.dispatch({ type: "add", value: 1 })
+        store.dispatch({ type: "add", value: 2 })
+        store.undo()
+
+        expect(initialState).to.deep.equal({ value: 0 })
+        expect(sent).to.deep.equal([ [ "add", 1 ], [ "add", 3 ], [ StateActionType.jump, 1 ] ])
+
+        listener({ type: "DISPATCH", payload: { type: "JUMP_TO_STATE" }, state: JSON.stringify({ value: 3 }) })
+        expect(store.current.value).to.equal(3)
+        expect(sent.length).to.equal(3)
+
+        listener({ type: "ACTION", payload: "{}" })
+        expect(store.current.value).to.equal(3)
+    })
+
+    it("must do nothing in the devtools middleware if there is no extension", () => {
+        const store = new State(reducer, { middleware: [ createDevToolsMiddleware({ extension: null }) ] })
+
+        store.dispatch({ type: "add", value: 4 })
+        expect(store.current.value).to.equal(4)
+    })
+})
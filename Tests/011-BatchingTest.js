@@ -0,0 +1,89 @@
+//
+// 011-BatchingTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, VStack, Button } from "../Sources/BonUI"
+
+browserEnv()
+
+var renders = []
+
+class Label extends View {
+    getInitialState () {
+        return { suffix: "" }
+    }
+
+    getBody () {
+        renders.push("label")
+        return new Text(this.options.text + this.state.get("suffix"))
+    }
+}
+
+class Panel extends View {
+    getInitialState () {
+        return { title: "Title", clicks: 0 }
+    }
+
+    getBody () {
+        renders.push("panel")
+        this.label = new Label({ text: this.state.get("title") })
+
+        return new VStack([
+            this.label,
+            new Button(new Text(`Clicked ${this.state.get("clicks")} times`))
+                .addHandlerFor("click", () => {
+                    this.state.set({ clicks: this.state.get("clicks") + 1 })
+                    this.state.set({ clicks: this.state.get("clicks") + 1 })
+                    this.state.set({ title: "Clicked" })
+                })
+        ])
+    }
+}
+
+describe("Batched updates", () => {
+    beforeEach(() => {
+        renders = []
+    })
+
+    it("must render the view once for the several state changes in the event handler", () => {
+        const panel = new Panel()
+        const root = document.createElement("div")
+        document.body.appendChild(root)
+
+        panel.mountTo(root)
+        renders = []
+        root.querySelector("button").click()
+
+        expect(renders).to.deep.equal([ "panel", "label" ])
+        expect(root.querySelector("button").textContent).to.equal("Clicked 2 times")
+
+        root.remove()
+    })
+
+    it("must update the parent before the child and not update the child twice", () => {
+        const panel = new Panel()
+        const root = document.createElement("div")
+        document.body.appendChild(root)
+
+        panel.mountTo(root)
+        renders = []
+
+        View.batchUpdates(() => {
+            panel.label.state.set({ suffix: "!" })
+            panel.state.set({ title: "Changed" })
+        })
+
+        expect(renders).to.deep.equal([ "panel", "label" ])
+        expect(root.textContent).to.contain("Changed!")
+
+        root.remove()
+    })
+})
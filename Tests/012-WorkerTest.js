@@ -0,0 +1,100 @@
+//
+// 012-WorkerTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { Worker, Priority, View } from "../Sources/BonUI"
+
+browserEnv()
+
+describe("Worker", () => {
+    var idleCallbacks = []
+
+    beforeEach(() => {
+        idleCallbacks = []
+        window.requestIdleCallback = callback => idleCallbacks.push(callback)
+    })
+
+    afterEach(() => {
+        Worker.flush()
+        idleCallbacks.forEach(callback => callback({ didTimeout: true, timeRemaining: () => 0 }))
+        delete window.requestIdleCallback
+    })
+
+    it("must do the work in order of priority", () => {
+        const order = []
+
+        Worker.addUnitOfWork(() => order.push("idle"), { priority: Priority.idle })
+        Worker.addUnitOfWork(() => order.push("normal"))
+        Worker.addUnitOfWork(() => order.push("userBlocking"), { priority: Priority.userBlocking })
+        Worker.addUnitOfWork(() => order.push("immediate"), { priority: Priority.immediate })
+
+        expect(order).to.deep.equal([])
+
+        Worker.flush()
+        expect(order).to.deep.equal([ "immediate", "userBlocking", "normal", "idle" ])
+    })
+
+    it("must do the immediate work after the current task and the idle work only when the browser is not busy", async () => {
+        const order = []
+
+        Worker.addUnitOfWork(() => order.push("idle"), { priority: Priority.idle })
+        Worker.addUnitOfWork(() => order.push("immediate"), { priority: Priority.immediate })
+
+        await Promise.resolve()
+        expect(order).to.deep.equal([ "immediate" ])
+
+        idleCallbacks.shift()({ didTimeout: false, timeRemaining: () => 0 })
+        expect(order).to.deep.equal([ "immediate" ])
+
+        idleCallbacks.shift()({ didTimeout: false, timeRemaining: () => 10 })
+        expect(order).to.deep.equal([ "immediate", "idle" ])
+    })
+
+    it("must do the rest of the work in the next slice when the unit of work throws", async () => {
+        const order = []
+
+        Worker.addUnitOfWork(() => {
+            order.push("failed")
+            throw new Error("Failed unit")
+        })
+        Worker.addUnitOfWork(() => order.push("next"))
+
+        delete window.requestIdleCallback
+        expect(() => Worker.flush()).to.throw("Failed unit")
+        expect(order).to.deep.equal([ "failed" ])
+
+        await new Promise(resolve => setTimeout(resolve, 0))
+        expect(order).to.deep.equal([ "failed", "next" ])
+    })
+
+    it("must not do the cancelled work", () => {
+        var done = false
+        const unit = Worker.addUnitOfWork(() => done = true)
+
+        unit.cancel()
+        Worker.flush()
+
+        expect(done).to.be.false
+        expect(unit.isCancelled).to.be.true
+    })
+
+    it("must cancel the mounting when the view is unmounted before it is mounted", () => {
+        const root = document.createElement("div")
+        const view = new View()
+
+        view.mountTo(root)
+        view.unmount()
+        Worker.flush()
+
+        expect(view.mounted).to.be.false
+        expect(root.childNodes.length).to.equal(0)
+    })
+})
@@ -0,0 +1,128 @@
+//
+// 013-TimeSlicingTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, VStack, Worker } from "../Sources/BonUI"
+
+browserEnv()
+
+var renders = 0
+
+class Row extends View {
+    getBody () {
+        ++renders
+        return new Text(`Row ${this.options.index}`)
+    }
+}
+
+class Rows extends View {
+    getInitialState () {
+        return { count: 20 }
+    }
+
+    getBody () {
+        var rows = []
+
+        for (let i = 0; i < this.state.get("count"); ++i) {
+            rows.push(new Row({ index: i }))
+        }
+
+        return new VStack(rows)
+    }
+}
+
+function deadline(steps) {
+    return { didTimeout: false, timeRemaining: () => steps-- > 0 ? 1 : 0 }
+}
+
+describe("Time-sliced rendering", () => {
+    var idleCallbacks = []
+
+    beforeEach(() => {
+        renders = 0
+        idleCallbacks = []
+        window.requestIdleCallback = callback => idleCallbacks.push(callback)
+    })
+
+    afterEach(() => {
+        Worker.flush()
+        idleCallbacks.forEach(callback => callback({ didTimeout: true, timeRemaining: () => 0 }))
+        delete window.requestIdleCallback
+    })
+
+    it("must yield when the deadline runs out and mount the view at once", () => {
+        const root = document.createElement("div")
+        const view = new Rows()
+
+        view.mountTo(root)
+        idleCallbacks.shift()(deadline(5))
+
+        expect(renders).to.be.above(0)
+        expect(renders).to.be.below(20)
+        expect(root.childNodes.length).to.equal(0)
+        expect(view.mounted).to.be.false
+
+        while (idleCallbacks.length > 0) {
+            idleCallbacks.shift()(deadline(5))
+        }
+
+        expect(renders).to.equal(20)
+        expect(root.querySelectorAll("p").length).to.equal(20)
+    })
+
+    it("must commit the update only when the whole view is rendered", () => {
+        const root = document.createElement("div")
+        const view = new Rows()
+
+        view.mountTo(root)
+        Worker.flush()
+
+        view.state.set({ count: 30 })
+        idleCallbacks.shift()(deadline(5))
+
+        expect(root.querySelectorAll("p").length).to.equal(20)
+
+        Worker.flush()
+        expect(root.querySelectorAll("p").length).to.equal(30)
+    })
+
+    it("must start the rendering again if the view is updated while it is rendered", () => {
+        const root = document.createElement("div")
+        const view = new Rows()
+
+        view.mountTo(root)
+        Worker.flush()
+
+        view.state.set({ count: 30 })
+        idleCallbacks.shift()(deadline(5))
+
+        view.forceInvalidate()
+        Worker.flush()
+
+        expect(root.querySelectorAll("p").length).to.equal(30)
+    })
+
+    it("must not lose the update made while the view is rendered", () => {
+        const root = document.createElement("div")
+        const view = new Rows()
+
+        view.mountTo(root)
+        Worker.flush()
+
+        view.state.set({ count: 30 })
+        idleCallbacks.shift()(deadline(5))
+
+        view.state.set({ count: 10 })
+        Worker.flush()
+
+        expect(root.querySelectorAll("p").length).to.equal(10)
+    })
+})
@@ -0,0 +1,147 @@
+//
+// 014-PureViewTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, PureView, Text, VStack, State } from "../Sources/BonUI"
+
+browserEnv()
+
+var renders = []
+
+class Row extends PureView {
+    getInitialState () {
+        return { selected: false }
+    }
+
+    getBody () {
+        renders.push(this.options.title)
+        return new Text(`${this.getEnvironment("prefix", "")}${this.options.title}${this.state.get("selected") ? " (selected)" : ""}`)
+    }
+}
+
+class Table extends View {
+    getInitialState () {
+        return { titles: [ "first", "second" ], clicks: 0 }
+    }
+
+    getBody () {
+        this.rows = this.state.get("titles").map(title => new Row({ title }).setKey(title))
+
+        return new VStack([
+            new Text(`Clicks: ${this.state.get("clicks")}`),
+            ...this.rows
+        ])
+    }
+}
+
+function mount(view) {
+    const root = document.createElement("div")
+    document.body.appendChild(root)
+    view.mountTo(root)
+    return root
+}
+
+describe("Pure views", () => {
+    beforeEach(() => {
+        renders = []
+    })
+
+    it("must not render the pure view again when its inputs are not changed", () => {
+        const table = new Table()
+        const root = mount(table)
+        const firstRow = root.querySelectorAll("p")[1]
+
+        renders = []
+        table.state.set({ clicks: 1 })
+
+        expect(renders).to.deep.equal([])
+        expect(root.querySelectorAll("p")[1]).to.equal(firstRow)
+        expect(root.querySelector("p").textContent).to.equal("Clicks: 1")
+
+        table.state.set({ titles: [ "first", "third" ] })
+
+        expect(renders).to.deep.equal([ "third" ])
+        expect(root.textContent).to.equal("Clicks: 1firstthird")
+
+        root.remove()
+    })
+
+    it("must render the pure view again when its state or environment is changed", () => {
+        const table = new Table()
+        const root = mount(table)
+        const [ firstRow ] = table.rows
+
+        renders = []
+        firstRow.state.set({ selected: true })
+
+        expect(renders).to.deep.equal([ "first" ])
+        expect(root.textContent).to.equal("Clicks: 0first (selected)second")
+
+        renders = []
+        table.setEnvironment({ prefix: "- " })
+
+        expect(renders).to.deep.equal([ "first", "second" ])
+        expect(root.textContent).to.equal("Clicks: 0- first (selected)- second")
+
+        root.remove()
+    })
+
+    it("must use the custom shouldUpdate method", () => {
+        class Title extends View {
+            shouldUpdate ({ options }) {
+                return options.text.toLowerCase() !== this.options.text.toLowerCase()
+            }
+
+            getBody () {
+                return new Text(this.options.text)
+            }
+        }
+
+        class Page extends View {
+            getInitialState () {
+                return { text: "hello" }
+            }
+
+            getBody () {
+                return new VStack([ new Title({ text: this.state.get("text") }) ])
+            }
+        }
+
+        const page = new Page()
+        const root = mount(page)
+
+        page.state.set({ text: "HELLO" })
+        expect(root.textContent).to.equal("hello")
+
+        page.state.set({ text: "bye" })
+        expect(root.textContent).to.equal("bye")
+
+        root.remove()
+    })
+
+    it("must render the pure view again when the value it selected from the state is changed", () => {
+        const store = new State((state = { count: 0 }, action) => action.type === "increment" ? { count: state.count + 1 } : state)
+
+        class Counter extends PureView {
+            getBody () {
+                return new Text(`count ${this.select(store, state => state.count)}`)
+            }
+        }
+
+        const root = mount(new VStack([ new Counter() ]))
+        expect(root.textContent).to.equal("count 0")
+
+        store.dispatch({ type: "increment" })
+        expect(root.textContent).to.equal("count 1")
+
+        root.remove()
+    })
+})
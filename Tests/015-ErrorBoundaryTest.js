@@ -0,0 +1,181 @@
+//
+// 015-ErrorBoundaryTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, VStack, Button, ErrorBoundary, ApplicationManager, Worker } from "../Sources/BonUI"
+
+browserEnv()
+
+var errors = []
+
+class TestManager extends ApplicationManager {
+    handleError (error, { path }) {
+        errors.push({ message: error.message, path })
+    }
+}
+
+class Broken extends View {
+    getBody () {
+        throw new Error("Broken view")
+    }
+}
+
+class Card extends View {
+    getBody () {
+        return new Broken()
+    }
+}
+
+class Counter extends View {
+    getInitialState () {
+        return { count: 0 }
+    }
+
+    getBody () {
+        return new Button(new Text(`Count: ${this.state.get("count")}`))
+            .addHandlerFor("click", () => {
+                if (this.state.get("count") === 1) {
+                    throw new Error("Too many clicks")
+                }
+
+                this.state.set({ count: this.state.get("count") + 1 })
+            })
+    }
+}
+
+class Chart extends View {
+    getInitialState () {
+        return { points: 1 }
+    }
+
+    getBody () {
+        if (this.state.get("points") > 1) {
+            throw new Error("Too many points")
+        }
+
+        return new Text("Chart")
+    }
+}
+
+class WorldMap extends View {
+    getBody () {
+        return new Text("Map")
+    }
+
+    handleMount () {
+        super.handleMount()
+        throw new Error("No map provider")
+    }
+}
+
+function mount(view) {
+    const root = document.createElement("div")
+    document.body.appendChild(root)
+    view.mountTo(root)
+    return root
+}
+
+describe("Error boundaries", () => {
+    beforeEach(() => {
+        errors = []
+        new TestManager()
+    })
+
+    it("must render the fallback view when the content can not be rendered", () => {
+        const root = mount(new VStack([
+            new Text("Header"),
+            new ErrorBoundary(new VStack([ new Card() ]), { fallback: new Text("Fallback") })
+        ]))
+
+        expect(root.textContent).to.equal("HeaderFallback")
+        expect(errors).to.deep.equal([ { message: "Broken view", path: [ "ErrorBoundary", "VStack", "Card", "Broken" ] } ])
+
+        root.remove()
+    })
+
+    it("must show the fallback view when the event handler throws and show the content again after reset", () => {
+        const root = mount(new ErrorBoundary(new Counter(), {
+            fallback: (error, reset) => new Button(new Text(error.message)).addHandlerFor("click", reset)
+        }))
+
+        root.querySelector("button").click()
+        expect(root.textContent).to.equal("Count: 1")
+
+        root.querySelector("button").click()
+        expect(root.textContent).to.equal("Too many clicks")
+        expect(errors[0].path).to.deep.equal([ "Button" ])
+
+        root.querySelector("button").click()
+        expect(root.textContent).to.equal("Count: 1")
+
+        root.remove()
+    })
+
+    it("must pass the error to the outer boundary when the fallback view fails", () => {
+        const root = mount(new ErrorBoundary(new ErrorBoundary(new Broken(), { fallback: new Card() }), { fallback: new Text("Outer fallback") }))
+
+        expect(root.textContent).to.equal("Outer fallback")
+        expect(errors.length).to.equal(2)
+
+        root.remove()
+    })
+
+    it("must show the fallback view when the descendant fails to render again after its state is changed", () => {
+        const chart = new Chart()
+        const root = mount(new ErrorBoundary(new VStack([ new Text("Sales"), chart ]), { fallback: new Text("Fallback") }))
+        expect(root.textContent).to.equal("SalesChart")
+
+        chart.state.set({ points: 2 })
+        Worker.flush()
+
+        expect(root.textContent).to.equal("Fallback")
+        expect(errors).to.deep.equal([ { message: "Too many points", path: [ "Chart" ] } ])
+
+        root.remove()
+    })
+
+    it("must show the fallback view when the descendant throws while it is mounted", () => {
+        const root = mount(new ErrorBoundary(new VStack([ new WorldMap() ]), { fallback: new Text("Fallback") }))
+        Worker.flush()
+
+        expect(root.textContent).to.equal("Fallback")
+        expect(errors).to.deep.equal([ { message: "No map provider", path: [ "WorldMap" ] } ])
+
+        root.remove()
+    })
+
+    it("must show the fallback view when the view added by the update throws while it is mounted", () => {
+        class Dashboard extends View {
+            getInitialState () {
+                return { showsMap: false }
+            }
+
+            getBody () {
+                return new VStack(this.state.get("showsMap") ? [ new Text("Dashboard"), new WorldMap() ] : [ new Text("Dashboard") ])
+            }
+        }
+
+        const dashboard = new Dashboard()
+        const root = mount(new ErrorBoundary(dashboard, { fallback: new Text("Fallback") }))
+
+        dashboard.state.set({ showsMap: true })
+        Worker.flush()
+
+        expect(root.textContent).to.equal("Fallback")
+        expect(errors.map(error => error.message)).to.deep.equal([ "No map provider" ])
+
+        root.remove()
+    })
+
+    it("must throw the error if there is no error boundary", () => {
+        expect(() => new VStack([ new Card() ]).toString()).to.throw("Broken view")
+    })
+})
@@ -0,0 +1,232 @@
+//
+// 016-AsyncViewTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, VStack, AsyncView, DataCache, Worker } from "../Sources/BonUI"
+
+browserEnv()
+
+function wait() {
+    return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+function mount(view) {
+    const root = document.createElement("div")
+    document.body.appendChild(root)
+    view.mountTo(root)
+    return root
+}
+
+class UserCard extends View {
+    constructor (id, load) {
+        super()
+        this.id = id
+        this.loadUser = load
+    }
+
+    getBody () {
+        return new AsyncView({
+            dataKey: `user-${this.id}`,
+            load: this.loadUser,
+            content: user => new VStack([
+                new Text(user.name),
+                new AsyncView({
+                    dataKey: `friends-${this.id}`,
+                    load: () => Promise.resolve(user.friends),
+                    content: friends => new Text(`Friends: ${friends.join(", ")}`)
+                })
+            ]),
+            placeholder: new Text("Loading...")
+        })
+    }
+}
+
+describe("AsyncView", () => {
+    it("must show the placeholder while the data is pending and the content when it is loaded", async () => {
+        var resolve
+        var root = mount(new AsyncView({
+            load: () => new Promise(callback => { resolve = callback }),
+            content: value => new Text(`Value: ${value}`),
+            placeholder: new Text("Loading...")
+        }))
+
+        expect(root.textContent).to.equal("Loading...")
+
+        await wait()
+        resolve(42)
+        await wait()
+        Worker.flush()
+
+        expect(root.textContent).to.equal("Value: 42")
+    })
+
+    it("must show the failure view when the loader fails and load the data again on retry", async () => {
+        var calls = 0
+        var retry = null
+        var root = mount(new AsyncView({
+            load: () => ++calls === 1 ? Promise.reject(new Error("Network error")) : Promise.resolve("data"),
+            content: value => new Text(value),
+            failure: (error, reload) => {
+                retry = reload
+                return new Text(error.message)
+            }
+        }))
+
+        await wait()
+        Worker.flush()
+        expect(root.textContent).to.equal("Network error")
+
+        retry()
+        Worker.flush()
+        await wait()
+        Worker.flush()
+
+        expect(calls).to.equal(2)
+        expect(root.textContent).to.equal("data")
+    })
+
+    it("must load the data with the same key once", async () => {
+        var calls = 0
+        var cache = new DataCache()
+        var load = () => Promise.resolve(++calls)
+        var content = value => new Text(String(value))
+
+        var root = mount(new VStack([
+            new AsyncView({ dataKey: "count", load, content }),
+            new AsyncView({ dataKey: "count", load, content })
+        ]).setEnvironment({ dataCache: cache }))
+
+        await wait()
+        Worker.flush()
+
+        expect(calls).to.equal(1)
+        expect(root.textContent).to.equal("11")
+    })
+
+    it("must wait for the loaders before rendering to string", async () => {
+        var cache = new DataCache()
+        var view = new UserCard(1, () => Promise.resolve({ name: "Alice", friends: [ "Bob", "Eve" ] }))
+            .setEnvironment({ dataCache: cache })
+
+        expect(view.toString()).to.contain("Loading...")
+
+        var html = await view.toStringAsync()
+
+        expect(html).to.contain("Alice")
+        expect(html).to.contain("Friends: Bob, Eve")
+        expect(html).to.not.contain("Loading...")
+    })
+
+    it("must wait for the loaders before streaming", async () => {
+        var chunks = []
+        var view = new UserCard(2, () => Promise.resolve({ name: "Bob", friends: [] }))
+            .setEnvironment({ dataCache: new DataCache() })
+
+        for await (let chunk of view.toStream()) {
+            chunks.push(chunk)
+        }
+
+        expect(chunks.join("")).to.contain("Bob")
+    })
+
+    it("must load the data for each rendering if there is no cache in the environment", async () => {
+        var calls = 0
+        var view = new UserCard(4, () => Promise.resolve({ name: `Visitor ${++calls}`, friends: [] }))
+
+        expect(await view.toStringAsync()).to.contain("Visitor 1")
+        expect(await view.toStringAsync()).to.contain("Visitor 2")
+
+        var chunks = []
+
+        for await (let chunk of view.toStream()) {
+            chunks.push(chunk)
+        }
+
+        expect(chunks.join("")).to.contain("Visitor 3")
+    })
+
+    it("must remove the failed loads from the cache and load them again", async () => {
+        var calls = 0
+        var cache = new DataCache()
+        var view = new UserCard(5, () => ++calls === 1 ? Promise.reject(new Error("Network error")) : Promise.resolve({ name: "Erin", friends: [] }))
+            .setEnvironment({ dataCache: cache })
+
+        var html = await view.toStringAsync()
+
+        expect(html).to.contain("Failed to load the data")
+        expect(calls).to.equal(1)
+        expect(cache.has("user-5")).to.be.false
+
+        html = await view.toStringAsync()
+
+        expect(html).to.contain("Erin")
+        expect(calls).to.equal(2)
+        expect(cache.has("user-5")).to.be.true
+    })
+
+    it("must show the failure until the view is reloaded while the other views load the data again", async () => {
+        var calls = 0
+        var cache = new DataCache()
+        var load = () => ++calls === 1 ? Promise.reject(new Error("Network error")) : Promise.resolve(calls)
+        var retry = null
+        var failed = new AsyncView({
+            dataKey: "count",
+            load,
+            content: value => new Text(`First: ${value}`),
+            failure: (error, reload) => {
+                retry = reload
+                return new Text(error.message)
+            }
+        }).setEnvironment({ dataCache: cache })
+        var root = mount(failed)
+
+        await wait()
+        Worker.flush()
+        expect(root.textContent).to.equal("Network error")
+
+        var other = mount(new AsyncView({ dataKey: "count", load, content: value => new Text(`Second: ${value}`) }).setEnvironment({ dataCache: cache }))
+
+        await wait()
+        Worker.flush()
+        expect(other.textContent).to.equal("Second: 2")
+        expect(root.textContent).to.equal("Network error")
+
+        retry()
+        Worker.flush()
+
+        expect(root.textContent).to.equal("First: 2")
+        expect(calls).to.equal(2)
+    })
+
+    it("must pass the loaded data from the server to the client", async () => {
+        var serverCache = new DataCache()
+        var html = await new UserCard(3, () => Promise.resolve({ name: "Carol </script>", friends: [ "Dave" ] }))
+            .setEnvironment({ dataCache: serverCache })
+            .toStringAsync()
+
+        var root = document.createElement("div")
+        root.innerHTML = html + serverCache.toHTMLString()
+        document.body.appendChild(root)
+
+        var clientCache = new DataCache()
+        clientCache.restore(root)
+
+        var loaded = false
+        var view = new UserCard(3, () => {
+            loaded = true
+            return Promise.resolve({ name: "Nobody", friends: [] })
+        }).setEnvironment({ dataCache: clientCache })
+
+        expect(clientCache.has("user-3")).to.be.true
+        expect(view.toString("client")).to.equal(html)
+        expect(loaded).to.be.false
+    })
+})
@@ -0,0 +1,148 @@
+//
+// 017-NavigationTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { Text, VStack, Link, Router, Route, MemoryHistory, BrowserHistory } from "../Sources/BonUI"
+
+browserEnv()
+
+function createRouter(history) {
+    return new Router(history, [
+        new Route({ path: "/", view: new VStack([
+            new Text("Home"),
+            new Link({ url: "/articles/1", label: new Text("First article") }),
+            new Link({ url: "https://example.com/", label: new Text("External") })
+        ]) }),
+        new Route({ path: "/articles/:id", view: ({ params }) => new Text(`Article ${params.id}`) })
+    ], { notFound: new Text("Not found") })
+}
+
+function mount(view) {
+    const root = document.createElement("div")
+    document.body.appendChild(root)
+    view.mountTo(root)
+    return root
+}
+
+function click(element, options = {}) {
+    var event = new window.MouseEvent("click", Object.assign({ bubbles: true, cancelable: true, button: 0 }, options))
+    element.dispatchEvent(event)
+    return event
+}
+
+describe("Navigation", () => {
+    it("must render the route of the history location on the server", () => {
+        expect(createRouter(new MemoryHistory("/articles/7")).toString()).to.contain("Article 7")
+    })
+
+    it("must render the matching route again when the location changes", () => {
+        var history = new MemoryHistory()
+        var router = createRouter(history)
+        var root = mount(router)
+
+        expect(root.textContent).to.contain("Home")
+
+        router.navigate("/articles/2")
+        expect(root.textContent).to.equal("Article 2")
+        expect(history.location).to.equal("/articles/2")
+
+        history.navigate("/unknown", { replace: true })
+        expect(root.textContent).to.equal("Not found")
+        expect(history.entries.length).to.equal(2)
+
+        history.back()
+        expect(root.textContent).to.contain("Home")
+
+        history.forward()
+        expect(root.textContent).to.equal("Not found")
+    })
+
+    it("must navigate with the history when the internal link is clicked", () => {
+        var history = new MemoryHistory()
+        var root = mount(createRouter(history))
+        var [ internal, external ] = root.querySelectorAll("a")
+
+        expect(click(external).defaultPrevented).to.be.false
+        expect(click(internal, { ctrlKey: true }).defaultPrevented).to.be.false
+        expect(history.location).to.equal("/")
+
+        expect(click(internal).defaultPrevented).to.be.true
+        expect(history.location).to.equal("/articles/1")
+        expect(root.textContent).to.equal("Article 1")
+    })
+
+    it("must use the History API of the browser", () => {
+        browserEnv({ url: "http://localhost/" })
+        window.scrollTo = () => {}
+
+        var history = new BrowserHistory()
+        var root = mount(createRouter(history))
+
+        click(root.querySelector("a"))
+        expect(window.location.pathname).to.equal("/articles/1")
+        expect(root.textContent).to.equal("Article 1")
+
+        var scrolledTo = null
+        window.scrollTo = (x, y) => { scrolledTo = { x, y } }
+        var previousKey = history.currentKey
+        window.pageYOffset = 300
+        history.navigate("/articles/3")
+        window.pageYOffset = 0
+        expect(scrolledTo).to.deep.equal({ x: 0, y: 0 })
+
+        window.history.replaceState(null, "", "/articles/1")
+        window.dispatchEvent(new window.PopStateEvent("popstate", { state: { key: previousKey, state: null } }))
+
+        expect(root.textContent).to.equal("Article 1")
+        expect(scrolledTo).to.deep.equal({ x: 0, y: 300 })
+    })
+
+    it("must save the index of the entry to know the direction of the back/forward navigation", () => {
+        browserEnv({ url: "http://localhost/" })
+        window.scrollTo = () => {}
+
+        var history = new BrowserHistory()
+        var firstKey = history.currentKey
+        var unlisten = history.listen(() => {})
+        history.navigate("/articles/4")
+
+        expect(window.history.state.index).to.equal(1)
+        expect(history.lastChange).to.deep.equal({ action: "push", from: "/", delta: 1 })
+
+        window.history.replaceState(null, "", "/")
+        window.dispatchEvent(new window.PopStateEvent("popstate", { state: { key: firstKey, index: 0, state: null } }))
+
+        expect(history.lastChange).to.deep.equal({ action: "pop", from: "/articles/4", delta: -1 })
+        unlisten()
+    })
+
+    it("must listen to the browser until the last router that uses the history is unsubscribed", () => {
+        browserEnv({ url: "http://localhost/" })
+        window.scrollTo = () => {}
+
+        var history = new BrowserHistory()
+        var first = createRouter(history)
+        var second = createRouter(history)
+        var root = mount(new VStack([ first, second ]))
+
+        first.releaseSubscriptions()
+        window.history.replaceState(null, "", "/articles/5")
+        window.dispatchEvent(new window.PopStateEvent("popstate", { state: null }))
+        expect(second.lastVNode.dom.textContent).to.equal("Article 5")
+
+        var { lastChange } = history
+        second.releaseSubscriptions()
+        window.dispatchEvent(new window.PopStateEvent("popstate", { state: null }))
+        expect(history.lastChange).to.equal(lastChange)
+
+        root.remove()
+    })
+})
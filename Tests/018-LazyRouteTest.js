@@ -0,0 +1,125 @@
+//
+// 018-LazyRouteTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, Router, Route, MemoryHistory, Worker } from "../Sources/BonUI"
+
+browserEnv()
+
+function wait() {
+    return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+class Settings extends View {
+    getBody () {
+        return new Text(`Settings of ${this.getEnvironment("route").params.user}`)
+    }
+}
+
+describe("Lazy routes", () => {
+    it("must show the placeholder until the module of the route is loaded", async () => {
+        var loads = 0
+        var history = new MemoryHistory()
+        var router = new Router(history, [
+            new Route({ path: "/", view: new Text("Home") }),
+            new Route({
+                path: "/users/:user/settings",
+                load: () => {
+                    ++loads
+                    return Promise.resolve({ default: Settings })
+                },
+                placeholder: new Text("Loading...")
+            })
+        ])
+
+        const root = document.createElement("div")
+        document.body.appendChild(root)
+        router.mountTo(root)
+
+        history.navigate("/users/alice/settings")
+        expect(root.textContent).to.equal("Loading...")
+
+        await wait()
+        Worker.flush()
+        expect(root.textContent).to.equal("Settings of alice")
+
+        history.back()
+        history.forward()
+        expect(root.textContent).to.equal("Settings of alice")
+        expect(loads).to.equal(1)
+    })
+
+    it("must keep the loaded module when the parent creates the route again", async () => {
+        var loads = 0
+
+        class App extends View {
+            getInitialState () {
+                return { title: "App" }
+            }
+
+            getBody () {
+                return new Router("/about", [
+                    new Route({
+                        path: "/about",
+                        load: () => {
+                            ++loads
+                            return Promise.resolve({ default: new Text(`About ${this.state.get("title")}`) })
+                        },
+                        placeholder: new Text("Loading...")
+                    })
+                ])
+            }
+        }
+
+        const app = new App()
+        const root = document.createElement("div")
+        document.body.appendChild(root)
+        app.mountTo(root)
+
+        await wait()
+        Worker.flush()
+        expect(root.textContent).to.equal("About App")
+
+        app.state.set({ title: "Bon UI" })
+        Worker.flush()
+        expect(root.textContent).to.equal("About App")
+        expect(loads).to.equal(1)
+    })
+
+    it("must load the modules of the matched routes before rendering to string", async () => {
+        var createRouter = () => new Router(new MemoryHistory("/about"), [
+            new Route({ path: "/", view: new Text("Home") }),
+            new Route({
+                path: "/about",
+                load: () => Promise.resolve({ default: route => new Text(`About (${route.url})`) }),
+                placeholder: new Text("Loading...")
+            })
+        ])
+
+        var html = await createRouter().toStringAsync()
+        expect(html).to.contain("About (/about)")
+
+        var router = createRouter()
+        await router.preload("client")
+        expect(router.toString("client")).to.equal(html)
+    })
+
+    it("must not share the modules of the loaders with the same source", async () => {
+        var lazy = name => () => Promise.resolve({ default: new Text(name) })
+        var createRouter = path => new Router(new MemoryHistory(path), [
+            new Route({ path: "/first", load: lazy("First page") }),
+            new Route({ path: "/second", load: lazy("Second page") })
+        ])
+
+        expect(await createRouter("/first").toStringAsync()).to.contain("First page")
+        expect(await createRouter("/second").toStringAsync()).to.contain("Second page")
+    })
+})
@@ -0,0 +1,226 @@
+//
+// 019-RouteGuardTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Text, VStack, Router, Route, Redirect, MemoryHistory, Worker } from "../Sources/BonUI"
+
+browserEnv()
+
+function wait() {
+    return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+function settle() {
+    return wait().then(() => Worker.flush())
+}
+
+var session = { signedIn: false }
+var confirmLeaving = true
+
+function createRouter(history) {
+    return new Router(history, [
+        new Route({ path: "/", view: new Text("Home") }),
+        new Route({ path: "/login", view: new Text("Login") }),
+        new Route({ path: "/account", guard: () => session.signedIn || "/login", view: new Text("Account") }),
+        new Route({ path: "/editor", guard: () => confirmLeaving, view: new Text("Editor") }),
+        new Route({
+            path: "/reports",
+            guard: [ () => true, () => new Promise(resolve => setTimeout(() => resolve(session.signedIn || "/login"), 5)) ],
+            view: new Text("Reports")
+        }),
+        new Redirect({ path: "/posts/:id", to: "/articles/:id", status: 301 }),
+        new Route({ path: "/articles/:id", view: ({ params }) => new Text(`Article ${params.id}`) })
+    ])
+}
+
+function mount(view) {
+    const root = document.createElement("div")
+    document.body.appendChild(root)
+    view.mountTo(root)
+    return root
+}
+
+describe("Route guards", () => {
+    beforeEach(() => {
+        session.signedIn = false
+        confirmLeaving = true
+    })
+
+    it("must redirect when the guard returns the path", async () => {
+        var history = new MemoryHistory()
+        var root = mount(createRouter(history))
+
+        history.navigate("/account")
+        await settle()
+
+        expect(history.location).to.equal("/login")
+        expect(root.textContent).to.equal("Login")
+
+        session.signedIn = true
+        history.navigate("/account")
+        expect(root.textContent).to.equal("Account")
+    })
+
+    it("must cancel the navigation when the guard returns false", async () => {
+        var history = new MemoryHistory("/")
+        var root = mount(createRouter(history))
+
+        confirmLeaving = false
+        history.navigate("/editor")
+        await settle()
+
+        expect(history.location).to.equal("/")
+        expect(root.textContent).to.equal("Home")
+        expect(history.entries.map(entry => entry.path)).to.deep.equal([ "/", "/editor" ])
+        expect(history.index).to.equal(0)
+    })
+
+    it("must go back to the entry of the shown location when the back/forward navigation or the replacement is cancelled", async () => {
+        var history = new MemoryHistory([ "/editor", "/" ])
+        var root = mount(createRouter(history))
+
+        confirmLeaving = false
+        history.back()
+        await settle()
+
+        expect(history.location).to.equal("/")
+        expect(history.index).to.equal(1)
+        expect(root.textContent).to.equal("Home")
+
+        history.navigate("/editor", { replace: true })
+        await settle()
+
+        expect(history.entries.map(entry => entry.path)).to.deep.equal([ "/editor", "/" ])
+        expect(root.textContent).to.equal("Home")
+    })
+
+    it("must call the guards again when the location of the router without the history changes", () => {
+        var calls = 0
+
+        class App extends View {
+            getInitialState () {
+                return { path: "/" }
+            }
+
+            getBody () {
+                return new Router(this.state.get("path"), [
+                    new Route({ path: "/", view: new Text("Home") }),
+                    new Route({
+                        path: "/account",
+                        guard: () => {
+                            ++calls
+                            return session.signedIn
+                        },
+                        view: new Text("Account")
+                    })
+                ])
+            }
+        }
+
+        var app = new App()
+        var root = mount(app)
+
+        app.state.set({ path: "/account" })
+        Worker.flush()
+        expect(calls).to.equal(1)
+        expect(root.textContent).to.equal("Home")
+
+        app.state.set({ path: "/" })
+        Worker.flush()
+        expect(root.textContent).to.equal("Home")
+
+        session.signedIn = true
+        app.state.set({ path: "/account" })
+        Worker.flush()
+
+        expect(calls).to.equal(2)
+        expect(root.textContent).to.equal("Account")
+    })
+
+    it("must call the guards of each router that uses the history", async () => {
+        var calls = { main: 0, sidebar: 0 }
+        var events = []
+
+        const createAccountRouter = (history, name) => new Router(history, [
+            new Route({ path: "/", view: new Text(`${name}: home`) }),
+            new Route({
+                path: "/account",
+                guard: () => {
+                    ++calls[name]
+                    return true
+                },
+                view: new Text(`${name}: account`)
+            })
+        ])
+
+        var history = new MemoryHistory()
+        var sidebar = createAccountRouter(history, "sidebar")
+            .addHandlerFor("beforeNavigation", ({ to }) => events.push(to))
+        var root = mount(new VStack([ createAccountRouter(history, "main"), sidebar ]))
+
+        history.navigate("/account")
+        await settle()
+
+        expect(calls).to.deep.equal({ main: 1, sidebar: 1 })
+        expect(events).to.deep.equal([ "/", "/account" ])
+        expect(root.textContent).to.equal("main: accountsidebar: account")
+    })
+
+    it("must show the previous route until the async guard is resolved", async () => {
+        var history = new MemoryHistory()
+        var root = mount(createRouter(history))
+
+        session.signedIn = true
+        history.navigate("/reports")
+        expect(root.textContent).to.equal("Home")
+
+        await new Promise(resolve => setTimeout(resolve, 10))
+        Worker.flush()
+        expect(root.textContent).to.equal("Reports")
+    })
+
+    it("must call the handlers of the navigation events", async () => {
+        var events = []
+        var history = new MemoryHistory()
+        var router = createRouter(history)
+            .addHandlerFor("beforeNavigation", ({ from, to }) => events.push(`before ${from} -> ${to}`))
+            .addHandlerFor("afterNavigation", ({ from, to }) => events.push(`after ${from} -> ${to}`))
+
+        mount(router)
+        history.navigate("/posts/1")
+        await settle()
+
+        expect(events).to.deep.equal([
+            "before null -> /",
+            "after null -> /",
+            "before / -> /posts/1",
+            "before / -> /articles/1",
+            "after / -> /articles/1"
+        ])
+    })
+
+    it("must save the redirect to the history on the server", async () => {
+        var history = new MemoryHistory("/posts/5")
+        var html = await createRouter(history).toStringAsync()
+
+        expect(html).to.contain("Article 5")
+        expect(history.location).to.equal("/articles/5")
+        expect(history.lastRedirect).to.deep.equal({ from: "/posts/5", to: "/articles/5", status: 301 })
+    })
+
+    it("must wait for the async guards on the server", async () => {
+        var history = new MemoryHistory("/reports")
+        var html = await createRouter(history).toStringAsync()
+
+        expect(html).to.contain("Login")
+        expect(history.lastRedirect).to.deep.equal({ from: "/reports", to: "/login", status: 302 })
+    })
+})
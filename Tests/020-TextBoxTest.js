@@ -0,0 +1,146 @@
+//
+// 020-TextBoxTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, VStack, TextBox, TextBoxType, Worker } from "../Sources/BonUI"
+
+browserEnv()
+
+class SignUp extends View {
+    getInitialState () {
+        return { email: "ann@example.com", age: 30, about: "Hello", submitted: null }
+    }
+
+    getBody () {
+        return new VStack([
+            new TextBox({
+                type: TextBoxType.email,
+                value: this.bind("email"),
+                onSubmit: email => this.state.set({ submitted: email })
+            }),
+            new TextBox({ type: TextBoxType.number, value: this.bind("age") }),
+            new TextBox({ multiline: true, value: this.bind("about") })
+        ])
+    }
+}
+
+function mount(view) {
+    const root = document.createElement("div")
+    document.body.appendChild(root)
+    view.mountTo(root)
+    Worker.flush()
+    return root
+}
+
+function type(dom, value) {
+    dom.value = value
+    dom.dispatchEvent(new window.Event("input", { bubbles: true }))
+    Worker.flush()
+}
+
+function press(dom, options) {
+    var event = new window.KeyboardEvent("keydown", Object.assign({ key: "Enter", bubbles: true, cancelable: true }, options))
+    dom.dispatchEvent(event)
+    Worker.flush()
+    return event
+}
+
+describe("TextBox", () => {
+    it("must render the value and the type on the server", () => {
+        var html = new SignUp().toString()
+
+        expect(html).to.contain(`type="email"`)
+        expect(html).to.contain(`value="ann@example.com"`)
+        expect(html).to.contain(`type="number"`)
+        expect(html).to.contain(`value="30"`)
+        expect(html).to.match(/<textarea[^>]*>Hello<\/textarea>/)
+        expect(new TextBox({ value: `"quoted" <tag>` }).toString()).to.contain(`value="&quot;quoted&quot; &lt;tag&gt;"`)
+    })
+
+    it("must change the bound value when the user types", () => {
+        var view = new SignUp()
+        var root = mount(view)
+        var [ email, age, about ] = root.querySelectorAll("input, textarea")
+
+        type(email, "bob@example.com")
+        type(age, "42")
+        type(about, "Hi there")
+
+        expect(view.state.get("email")).to.equal("bob@example.com")
+        expect(view.state.get("age")).to.equal(42)
+        expect(view.state.get("about")).to.equal("Hi there")
+        expect(about.value).to.equal("Hi there")
+
+        type(age, "")
+        expect(view.state.get("age")).to.equal(null)
+    })
+
+    it("must show the changed value and keep the caret", () => {
+        var view = new SignUp()
+        var root = mount(view)
+        var about = root.querySelector("textarea")
+
+        about.focus()
+        about.setSelectionRange(2, 2)
+
+        view.state.set({ about: "Hello world" })
+        Worker.flush()
+
+        expect(about.value).to.equal("Hello world")
+        expect(about.selectionStart).to.equal(2)
+        expect(about.selectionEnd).to.equal(2)
+    })
+
+    it("must update the value attribute when the value is changed and keep the attributes of the view", () => {
+        var textBox = new TextBox({ value: "ann@example.com" })
+        var input = mount(textBox).querySelector("input")
+
+        textBox.value = "carol@example.com"
+        textBox.invalidate()
+        Worker.flush()
+
+        expect(input.getAttribute("value")).to.equal("carol@example.com")
+        expect(input.value).to.equal("carol@example.com")
+        expect(textBox.attributes).to.deep.equal({ placeholder: "" })
+    })
+
+    it("must be created without the options", () => {
+        expect(new TextBox().toString()).to.contain(`type="text"`)
+    })
+
+    it("must call the handlers of the changes and the submit", () => {
+        var changes = []
+        var submits = []
+        var root = mount(new VStack([
+            new TextBox({ onChange: value => changes.push(value), onSubmit: value => submits.push(value) }),
+            new TextBox({ multiline: true, onSubmit: value => submits.push(value) })
+        ]))
+        var [ input, textarea ] = root.querySelectorAll("input, textarea")
+
+        type(input, "query")
+        expect(press(input).defaultPrevented).to.be.true
+
+        textarea.value = "line"
+        expect(press(textarea).defaultPrevented).to.be.false
+        press(textarea, { ctrlKey: true })
+
+        expect(changes).to.deep.equal([ "query" ])
+        expect(submits).to.deep.equal([ "query", "line" ])
+    })
+
+    it("must submit the bound value with Enter", () => {
+        var view = new SignUp()
+        var root = mount(view)
+
+        press(root.querySelector("input"))
+        expect(view.state.get("submitted")).to.equal("ann@example.com")
+    })
+})
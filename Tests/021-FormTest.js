@@ -0,0 +1,259 @@
+//
+// 021-FormTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { VStack, Text, TextBox, TextBoxType, Form, FormField, SubmitButton, Validators, Worker, ApplicationManager } from "../Sources/BonUI"
+
+browserEnv()
+
+var errors = []
+
+class TestManager extends ApplicationManager {
+    handleError (error, { path }) {
+        errors.push({ message: error.message, path })
+    }
+}
+
+function wait() {
+    return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+function createForm(options = {}) {
+    return new Form(Object.assign({
+        action: "/sign-up",
+        initialValues: { email: "", password: "" },
+        validators: {
+            email: [ Validators.required(), Validators.email() ],
+            password: Validators.minLength(8)
+        },
+        content: () => new VStack([
+            new FormField({ name: "email", label: "Email", control: field => new TextBox({ type: TextBoxType.email, value: field }) }),
+            new FormField({ name: "password", label: "Password", control: field => new TextBox({ type: TextBoxType.password, value: field }) }),
+            new SubmitButton(new Text("Sign up"))
+        ])
+    }, options))
+}
+
+function mount(view) {
+    const root = document.createElement("div")
+    document.body.appendChild(root)
+    view.mountTo(root)
+    Worker.flush()
+    return root
+}
+
+function type(dom, value) {
+    dom.value = value
+    dom.dispatchEvent(new window.Event("input", { bubbles: true }))
+    Worker.flush()
+}
+
+function blur(dom) {
+    dom.dispatchEvent(new window.FocusEvent("focusout", { bubbles: true }))
+    Worker.flush()
+}
+
+function submit(root) {
+    root.querySelector("form").dispatchEvent(new window.Event("submit", { bubbles: true, cancelable: true }))
+    Worker.flush()
+}
+
+describe("Form", () => {
+    beforeEach(() => {
+        errors = []
+        new TestManager()
+    })
+
+    it("must be rendered as the native form on the server", () => {
+        var html = createForm({ initialValues: { email: "ann@example.com", password: "" } }).toString()
+
+        expect(html).to.match(/^<form[^>]*action="\/sign-up"/)
+        expect(html).to.contain(`method="post"`)
+        expect(html).to.contain(`name="email"`)
+        expect(html).to.contain(`value="ann@example.com"`)
+        expect(html).to.contain(`type="submit"`)
+        expect(html).not.to.contain("disabled")
+    })
+
+    it("must validate the fields and show the errors after the user leaves them", () => {
+        var form = createForm()
+        var root = mount(form)
+        var input = root.querySelector(`input[name="email"]`)
+
+        type(input, "ann")
+        expect(form.values.email).to.equal("ann")
+        expect(form.isDirty).to.equal(true)
+        expect(form.isValid).to.equal(false)
+        expect(root.querySelector(`[role="alert"]`)).to.equal(null)
+        expect(root.querySelector("button").disabled).to.equal(true)
+
+        blur(input)
+        expect(root.querySelector(`[role="alert"]`).textContent).to.equal("Enter a valid email address")
+        expect(root.querySelector(`input[name="email"]`).getAttribute("aria-invalid")).to.equal("true")
+
+        type(root.querySelector(`input[name="email"]`), "ann@example.com")
+        expect(root.querySelector(`[role="alert"]`)).to.equal(null)
+        expect(root.querySelector("button").disabled).to.equal(false)
+    })
+
+    it("must not be rendered again when only the fields are touched or validated", () => {
+        var renders = 0
+        var form = createForm({
+            content: () => {
+                ++renders
+                return new VStack([ new FormField({ name: "email", label: "Email", control: field => new TextBox({ type: TextBoxType.email, value: field }) }) ])
+            }
+        })
+        var root = mount(form)
+
+        form.changeStore({ touched: { email: true }, validations: { email: Promise.resolve(null) } })
+        Worker.flush()
+        expect(renders).to.equal(1)
+
+        type(root.querySelector(`input[name="email"]`), "ann")
+        expect(renders).to.equal(2)
+    })
+
+    it("must ignore the outdated results of the async validators", async () => {
+        var resolvers = []
+        var form = createForm({
+            validators: {
+                email: email => new Promise(resolve => resolvers.push(() => resolve(email === "taken@example.com" ? "The email is taken" : null)))
+            }
+        })
+        var root = mount(form)
+        var input = root.querySelector(`input[name="email"]`)
+
+        type(input, "taken@example.com")
+        type(root.querySelector(`input[name="email"]`), "free@example.com")
+        expect(form.isValidating).to.equal(true)
+        expect(root.querySelector("button").disabled).to.equal(true)
+
+        resolvers[1]()
+        await wait()
+        resolvers[0]()
+        await wait()
+        Worker.flush()
+
+        expect(form.isValidating).to.equal(false)
+        expect(form.isValid).to.equal(true)
+        expect(root.querySelector("button").disabled).to.equal(false)
+    })
+
+    it("must show all the errors and not submit the invalid form", async () => {
+        var submitted = null
+        var form = createForm({ onSubmit: values => { submitted = values } })
+        var root = mount(form)
+
+        submit(root)
+        await wait()
+        Worker.flush()
+
+        expect(submitted).to.equal(null)
+        expect(Array.from(root.querySelectorAll(`[role="alert"]`)).map(item => item.textContent)).to.deep.equal([ "This field is required" ])
+    })
+
+    it("must submit the valid form and show the errors returned by the handler", async () => {
+        var submitted = null
+        var finish = null
+        var form = createForm({
+            validate: values => values.password === values.email ? { password: "The password must differ from the email" } : null,
+            onSubmit: values => new Promise(resolve => {
+                submitted = values
+                finish = resolve
+            })
+        })
+        var root = mount(form)
+
+        type(root.querySelector(`input[name="email"]`), "ann@example.com")
+        type(root.querySelector(`input[name="password"]`), "ann@example.com")
+        submit(root)
+        await wait()
+        Worker.flush()
+
+        expect(submitted).to.equal(null)
+        expect(root.querySelector(`[role="alert"]`).textContent).to.equal("The password must differ from the email")
+
+        type(root.querySelector(`input[name="password"]`), "correct horse")
+        submit(root)
+        await wait()
+        Worker.flush()
+
+        expect(submitted).to.deep.equal({ email: "ann@example.com", password: "correct horse" })
+        expect(form.isSubmitting).to.equal(true)
+        expect(root.querySelector("button").disabled).to.equal(true)
+
+        finish({ email: "The email is taken" })
+        await wait()
+        Worker.flush()
+
+        expect(form.isSubmitting).to.equal(false)
+        expect(root.querySelector(`[role="alert"]`).textContent).to.equal("The email is taken")
+
+        form.reset()
+        Worker.flush()
+        expect(form.values).to.deep.equal({ email: "", password: "" })
+        expect(root.querySelector(`[role="alert"]`)).to.equal(null)
+    })
+
+    it("must keep the error of the submit handler and submit the form again", async () => {
+        var attempts = 0
+        var form = createForm({
+            initialValues: { email: "ann@example.com", password: "correct horse" },
+            onSubmit: () => ++attempts === 1 ? Promise.reject(new Error("Network error")) : null
+        })
+        var root = mount(form)
+
+        expect(await form.submit()).to.equal(false)
+        Worker.flush()
+
+        expect(form.submitError.message).to.equal("Network error")
+        expect(form.isSubmitting).to.equal(false)
+        expect(root.querySelector("button").disabled).to.equal(false)
+        expect(errors).to.deep.equal([ { message: "Network error", path: [ "Form" ] } ])
+
+        submit(root)
+        await wait()
+        Worker.flush()
+
+        expect(attempts).to.equal(2)
+        expect(form.submitError).to.equal(null)
+    })
+
+    it("must show the error of the field when its validator throws", async () => {
+        var form = createForm({
+            validators: {
+                email: () => {
+                    throw new Error("Broken validator")
+                },
+                password: () => Promise.reject(new Error("Broken async validator"))
+            }
+        })
+        var root = mount(form)
+
+        type(root.querySelector(`input[name="email"]`), "ann@example.com")
+        type(root.querySelector(`input[name="password"]`), "correct horse")
+        await wait()
+        Worker.flush()
+
+        expect(form.values.email).to.equal("ann@example.com")
+        expect(form.isValidating).to.equal(false)
+        expect(form.isValid).to.equal(false)
+        expect(errors.map(error => error.message)).to.deep.equal([ "Broken validator", "Broken async validator" ])
+
+        submit(root)
+        await wait()
+        Worker.flush()
+
+        expect(Array.from(root.querySelectorAll(`[role="alert"]`)).map(item => item.textContent)).to.deep.equal([ "The value can not be validated", "The value can not be validated" ])
+        expect(form.submitError).to.equal(null)
+    })
+})
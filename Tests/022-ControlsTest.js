@@ -0,0 +1,156 @@
+//
+// 022-ControlsTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, VStack, Text, Checkbox, Toggle, RadioGroup, Slider, Worker } from "../Sources/BonUI"
+
+browserEnv()
+
+class Settings extends View {
+    getInitialState () {
+        return { subscribed: true, notifications: false, plan: "free", volume: 30 }
+    }
+
+    getBody () {
+        return new VStack([
+            new Checkbox({ value: this.bind("subscribed") }),
+            new Toggle({ value: this.bind("notifications") }),
+            new RadioGroup({
+                name: "plan",
+                options: [
+                    { value: "free", label: "Free" },
+                    { value: "pro", label: "Pro" },
+                    { value: "team", label: "Team", disabled: true },
+                    "enterprise"
+                ],
+                value: this.bind("plan")
+            }),
+            new Slider({ min: 0, max: 100, step: 10, value: this.bind("volume") })
+        ])
+    }
+}
+
+function mount(view) {
+    const root = document.createElement("div")
+    document.body.appendChild(root)
+    view.mountTo(root)
+    Worker.flush()
+    return root
+}
+
+function press(dom, key) {
+    var event = new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true })
+    dom.dispatchEvent(event)
+    Worker.flush()
+    return event
+}
+
+describe("Controls", () => {
+    it("must render the native inputs on the server", () => {
+        var html = new Settings().toString()
+
+        expect(html).to.match(/<input type="checkbox" checked[ >]/)
+        expect(html).to.match(/<input type="checkbox" role="switch"[ >]/)
+        expect(html).to.contain(`<fieldset role="radiogroup"`)
+        expect(html).to.match(/<input type="radio" name="plan" value="free" checked[ >]/)
+        expect(html).to.match(/<input type="radio" name="plan" value="team" disabled[ >]/)
+        expect(html).to.contain(`>enterprise</label>`)
+        expect(html).to.match(/<input type="range" min="0" max="100" step="10" value="30"[ >]/)
+    })
+
+    it("must change the bound values when the user changes the controls", () => {
+        var settings = new Settings()
+        var root = mount(settings)
+        var [ checkbox, toggle ] = root.querySelectorAll(`input[type="checkbox"]`)
+        var radios = root.querySelectorAll(`input[type="radio"]`)
+        var slider = root.querySelector(`input[type="range"]`)
+
+        checkbox.click()
+        toggle.click()
+        radios[1].click()
+        slider.value = "70"
+        slider.dispatchEvent(new window.Event("input", { bubbles: true }))
+        Worker.flush()
+
+        expect(settings.state.current).to.include({ subscribed: false, notifications: true, plan: "pro", volume: 70 })
+
+        settings.state.set({ subscribed: true, plan: "enterprise", volume: 20 })
+        Worker.flush()
+
+        expect(root.querySelector(`input[type="checkbox"]`).checked).to.equal(true)
+        expect(Array.from(root.querySelectorAll(`input[type="radio"]`)).map(radio => radio.checked)).to.deep.equal([ false, false, false, true ])
+        expect(root.querySelector(`input[type="range"]`).value).to.equal("20")
+    })
+
+    it("must support the keyboard", () => {
+        var settings = new Settings()
+        var root = mount(settings)
+        var toggle = root.querySelector(`[role="switch"]`)
+
+        press(toggle, "Enter")
+        expect(settings.state.get("notifications")).to.equal(true)
+
+        var radios = root.querySelectorAll(`input[type="radio"]`)
+
+        expect(press(radios[0], "ArrowDown").defaultPrevented).to.equal(true)
+        expect(settings.state.get("plan")).to.equal("pro")
+
+        // The disabled option is skipped
+        press(root.querySelectorAll(`input[type="radio"]`)[1], "ArrowDown")
+        expect(settings.state.get("plan")).to.equal("enterprise")
+        expect(document.activeElement).to.equal(root.querySelectorAll(`input[type="radio"]`)[3])
+
+        press(root.querySelectorAll(`input[type="radio"]`)[3], "ArrowRight")
+        expect(settings.state.get("plan")).to.equal("free")
+
+        press(root.querySelectorAll(`input[type="radio"]`)[0], "End")
+        expect(settings.state.get("plan")).to.equal("enterprise")
+    })
+
+    it("must be disabled and activated again", () => {
+        var checkbox = new Checkbox({ value: true })
+        var group = new RadioGroup({ name: "size", options: [ "S", "M", "L" ], value: "M" })
+        var root = mount(new VStack([ checkbox, group ]))
+
+        checkbox.disable()
+        group.disable()
+        Worker.flush()
+
+        expect(root.querySelector(`input[type="checkbox"]`).disabled).to.equal(true)
+        expect(root.querySelector("fieldset").disabled).to.equal(true)
+        expect(root.querySelector(`input[type="radio"]`).disabled).to.equal(true)
+
+        checkbox.activate()
+        group.activate()
+        Worker.flush()
+
+        expect(root.querySelector(`input[type="checkbox"]`).hasAttribute("disabled")).to.equal(false)
+        expect(root.querySelector("fieldset").hasAttribute("disabled")).to.equal(false)
+        expect(root.querySelector(`input[type="radio"]`).disabled).to.equal(false)
+    })
+
+    it("must render the views of the radio option labels", () => {
+        var createGroup = () => new RadioGroup({
+            name: "theme",
+            options: [ { value: "light", label: new Text("Light theme") }, "dark" ],
+            value: "light"
+        })
+
+        expect(createGroup().toString()).to.match(/<p[^>]*>Light theme<\/p><\/label>/)
+
+        var root = mount(createGroup())
+        var labels = root.querySelectorAll("label")
+
+        expect(labels[0].textContent).to.equal("Light theme")
+        expect(labels[0].querySelector("input").checked).to.equal(true)
+        expect(labels[1].textContent).to.equal("dark")
+    })
+})
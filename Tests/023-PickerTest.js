@@ -0,0 +1,187 @@
+//
+// 023-PickerTest.js
+// Created on 19/10/2026
+//
+// Copyright (c) 2020 Teplovs
+// This file is under Apache License v2.0
+// 
+// See https://www.apache.org/licenses/LICENSE-2.0 for license information
+// 
+
+import { expect } from "chai"
+import browserEnv from "browser-env"
+import { View, Picker, PickerStyle, Worker } from "../Sources/BonUI"
+
+browserEnv()
+
+const countries = [
+    { value: "none", label: "Nowhere" },
+    { label: "Europe", options: [ { value: "de", label: "Germany" }, { value: "fr", label: "France" } ] },
+    { label: "Asia", options: [ { value: "jp", label: "Japan" }, { value: "kp", label: "North Korea", disabled: true }, { value: "kr", label: "South Korea" } ] }
+]
+
+class CountryForm extends View {
+    constructor (options) {
+        super(options)
+    }
+
+    getInitialState () {
+        return { country: this.options.country }
+    }
+
+    getBody () {
+        return new Picker(Object.assign({ options: countries, value: this.bind("country"), name: "country", placeholder: "Country" }, this.options.picker))
+    }
+}
+
+function mount(view) {
+    const root = document.createElement("div")
+    document.body.appendChild(root)
+    view.mountTo(root)
+    Worker.flush()
+    return root
+}
+
+function press(dom, key) {
+    var event = new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true })
+    dom.dispatchEvent(event)
+    Worker.flush()
+    return event
+}
+
+function click(dom) {
+    dom.dispatchEvent(new window.MouseEvent("click", { bubbles: true, cancelable: true }))
+    Worker.flush()
+}
+
+describe("Picker", () => {
+    it("must render the native select with the groups on the server", () => {
+        var html = new CountryForm({ country: "fr" }).toString()
+
+        expect(html).to.match(/^<select[^>]*name="country"/)
+        expect(html).to.contain(`<option value="" disabled>Country</option>`)
+        expect(html).to.contain(`<optgroup label="Europe"><option value="de" data-index="1">Germany</option><option value="fr" data-index="2" selected>France</option></optgroup>`)
+        expect(html).to.contain(`<option value="kp" data-index="4" disabled>North Korea</option>`)
+    })
+
+    it("must change the bound value when the user picks the option of the native select", () => {
+        var form = new CountryForm({ country: null })
+        var root = mount(form)
+        var select = root.querySelector("select")
+
+        expect(select.selectedIndex).to.equal(0)
+
+        select.selectedIndex = 4
+        select.dispatchEvent(new window.Event("change", { bubbles: true }))
+        Worker.flush()
+        expect(form.state.get("country")).to.equal("jp")
+
+        form.state.set({ country: "de" })
+        Worker.flush()
+        expect(root.querySelector("select").value).to.equal("de")
+    })
+
+    it("must render the popover picker with the hidden input", () => {
+        var html = new CountryForm({ country: "jp", picker: { style: PickerStyle.popover } }).toString()
+
+        expect(html).to.contain(`<input type="hidden" name="country" value="jp">`)
+        expect(html).to.match(/<button[^>]*role="combobox"[^>]*aria-expanded="false"/)
+        expect(html).to.contain(">Japan<")
+        expect(html).not.to.contain(`role="listbox"`)
+    })
+
+    it("must pick the options of the popover with the mouse and the keyboard", () => {
+        var form = new CountryForm({ country: "de", picker: { style: PickerStyle.popover } })
+        var root = mount(form)
+
+        click(root.querySelector("button"))
+        expect(root.querySelector("button").getAttribute("aria-expanded")).to.equal("true")
+        expect(Array.from(root.querySelectorAll(`[role="group"]`)).map(group => group.getAttribute("aria-label"))).to.deep.equal([ "Europe", "Asia" ])
+        expect(root.querySelector(`[aria-selected="true"]`).textContent).to.equal("Germany")
+
+        click(root.querySelector(`[data-index="3"]`))
+        expect(form.state.get("country")).to.equal("jp")
+        expect(root.querySelector(`[role="listbox"]`)).to.equal(null)
+        expect(root.querySelector(`input[type="hidden"]`).value).to.equal("jp")
+
+        var button = root.querySelector("button")
+
+        press(button, "ArrowDown")
+        expect(button.getAttribute("aria-activedescendant")).to.match(/-option-3$/)
+
+        // The disabled option is skipped
+        press(button, "ArrowDown")
+        expect(button.getAttribute("aria-activedescendant")).to.match(/-option-5$/)
+
+        press(button, "Home")
+        expect(button.getAttribute("aria-activedescendant")).to.match(/-option-0$/)
+
+        press(button, "Enter")
+        expect(form.state.get("country")).to.equal("none")
+        expect(button.getAttribute("aria-expanded")).to.equal("false")
+
+        press(button, "ArrowDown")
+        press(button, "Escape")
+        expect(form.state.get("country")).to.equal("none")
+        expect(button.getAttribute("aria-expanded")).to.equal("false")
+    })
+
+    it("must filter the options of the popover with the search query", () => {
+        var form = new CountryForm({ country: null, picker: { style: PickerStyle.popover, searchable: true } })
+        var root = mount(form)
+
+        click(root.querySelector("button"))
+
+        var search = root.querySelector(`input[type="search"]`)
+        expect(document.activeElement).to.equal(search)
+
+        search.value = "korea"
+        search.dispatchEvent(new window.Event("input", { bubbles: true }))
+        Worker.flush()
+
+        expect(Array.from(root.querySelectorAll(`[role="option"]`)).map(option => option.textContent)).to.deep.equal([ "North Korea", "South Korea" ])
+        expect(root.querySelectorAll(`[role="group"]`).length).to.equal(1)
+        expect(search.getAttribute("aria-activedescendant")).to.match(/-option-5$/)
+
+        press(search, "Enter")
+        expect(form.state.get("country")).to.equal("kr")
+
+        click(root.querySelector("button"))
+        search = root.querySelector(`input[type="search"]`)
+        search.value = "atlantis"
+        search.dispatchEvent(new window.Event("input", { bubbles: true }))
+        Worker.flush()
+
+        expect(root.querySelectorAll(`[role="option"]`).length).to.equal(0)
+        expect(root.textContent).to.contain("Nothing is found")
+    })
+
+    it("must show the texts of the search from the options", () => {
+        var form = new CountryForm({ country: null, picker: { style: PickerStyle.popover, searchable: true, searchPlaceholder: "Find the country", emptyText: "No countries" } })
+        var root = mount(form)
+
+        click(root.querySelector("button"))
+
+        var search = root.querySelector(`input[type="search"]`)
+        expect(search.getAttribute("placeholder")).to.equal("Find the country")
+
+        search.value = "atlantis"
+        search.dispatchEvent(new window.Event("input", { bubbles: true }))
+        Worker.flush()
+
+        expect(root.textContent).to.contain("No countries")
+        expect(root.textContent).not.to.contain("Nothing is found")
+    })
+
+    it("must not open the disabled picker", () => {
+        var picker = new Picker({ options: [ "S", "M", "L" ], value: "M", style: PickerStyle.popover }).disable()
+        var root = mount(picker)
+
+        expect(root.querySelector("button").disabled).to.equal(true)
+        expect(root.firstChild.hasAttribute("disabled")).to.equal(false)
+
+        picker.open()
+        Worker.flush()
+        expect(root.querySelector(`[role="listbox"]`)).to.equal(null)
+    })
+})